@@ -0,0 +1,58 @@
+// Default factor weights (relative, normalised to 100 when scoring)
+const DEFAULT_WEIGHTS = {
+  subjects: 40,
+  learningStyle: 30,
+  schedule: 20,
+  performanceLevel: 10,
+  distance: 0,
+  ratingHistory: 0,
+  // Only applies to users with a learned model (services/matchLearning.js)
+  partnerPreference: 20
+};
+
+// Parse MATCH_WEIGHTS, e.g. "subjects:50,schedule:30,distance:20"
+const parseWeights = (value) => {
+  if (!value) return {};
+
+  return value.split(',').reduce((weights, entry) => {
+    const [name, weight] = entry.split(':').map(part => part && part.trim());
+    const parsed = Number(weight);
+
+    if (name && !Number.isNaN(parsed) && parsed >= 0) {
+      weights[name] = parsed;
+    } else {
+      console.warn(`Ignoring invalid MATCH_WEIGHTS entry: "${entry}"`);
+    }
+
+    return weights;
+  }, {});
+};
+
+// Share of the candidate pre-rank per signal (see services/candidates.js)
+const CANDIDATE_RANKING = {
+  subjects: 50,
+  schedule: 30,
+  recency: 20
+};
+
+const parseNumber = (value, fallback, { min = 0, max = Infinity } = {}) => {
+  const parsed = Number(value);
+  if (value === undefined || value === '' || Number.isNaN(parsed) || parsed < min || parsed > max) {
+    return fallback;
+  }
+  return parsed;
+};
+
+module.exports = {
+  weights: {
+    ...DEFAULT_WEIGHTS,
+    ...parseWeights(process.env.MATCH_WEIGHTS)
+  },
+  defaultWeights: DEFAULT_WEIGHTS,
+  parseWeights,
+  candidateRanking: CANDIDATE_RANKING,
+  // Lowest compatibility (0-100) a suggested match may have; requests can override it
+  minCompatibility: parseNumber(process.env.MATCH_MIN_COMPATIBILITY, 50, { max: 100 }),
+  // Most ranked candidates scored per search before giving up on filling the limit
+  maxCandidatesScanned: parseNumber(process.env.MATCH_MAX_CANDIDATES, 1000, { min: 1 })
+};
@@ -0,0 +1,58 @@
+// Roles in ascending order of privilege
+const ROLES = ['student', 'moderator', 'admin'];
+
+const MODERATOR_PERMISSIONS = [
+  'reports:read',
+  'reports:manage',
+  'users:read',
+  'matches:read',
+  'sessions:read'
+];
+
+const PERMISSIONS = {
+  student: [],
+  moderator: MODERATOR_PERMISSIONS,
+  admin: [
+    ...MODERATOR_PERMISSIONS,
+    'users:suspend',
+    'users:roles',
+    'sessions:cancel',
+    'audit:read',
+    'auth:management'
+  ]
+};
+
+const hasPermission = (role, permission) => (PERMISSIONS[role] || []).includes(permission);
+
+// Whether role is strictly above otherRole; staff can only act on users below them
+const outranks = (role, otherRole) => ROLES.indexOf(role) > ROLES.indexOf(otherRole);
+
+// Parse a comma separated list of emails or Auth0 IDs
+const parseSeedList = (value) => {
+  if (!value) return [];
+  return value.split(',').map(entry => entry.trim().toLowerCase()).filter(Boolean);
+};
+
+// Accounts given a role when they are created, e.g. ADMIN_USERS="ops@example.com,auth0|abc123"
+const seeds = {
+  admin: parseSeedList(process.env.ADMIN_USERS),
+  moderator: parseSeedList(process.env.MODERATOR_USERS)
+};
+
+// Highest seeded role for a user, or null when not seeded
+const getSeedRole = (user) => {
+  const identities = [user.email, user.auth0Id]
+    .filter(Boolean)
+    .map(identity => identity.toLowerCase());
+
+  return ['admin', 'moderator'].find(role => seeds[role].some(seed => identities.includes(seed))) || null;
+};
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  hasPermission,
+  outranks,
+  parseSeedList,
+  getSeedRole
+};
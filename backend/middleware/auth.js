@@ -1,6 +1,8 @@
 const jwt = require('jsonwebtoken');
 const axios = require('axios');
 const User = require('../models/User');
+const { getSeedRole } = require('../config/roles');
+const { verifySignedUrl } = require('../services/files');
 
 // Verify Auth0 JWT token
 const verifyAuth0Token = async (token) => {
@@ -39,7 +41,9 @@ const verifyAuth0Token = async (token) => {
 };
 
 // Main authentication middleware
-const authenticate = async (req, res, next) => {
+// allowPendingDeletion: let accounts with a pending deletion through, for the
+// few routes they may still use (restoring the account, exporting its data)
+const authenticateWith = ({ allowPendingDeletion = false } = {}) => async (req, res, next) => {
   try {
     const authHeader = req.header('Authorization');
     
@@ -67,12 +71,36 @@ const authenticate = async (req, res, next) => {
         email: decoded.email,
         avatar: decoded.picture
       });
+      
+      // Accounts listed in ADMIN_USERS / MODERATOR_USERS start with that role;
+      // later role changes are made (and audited) through the admin API
+      const seedRole = getSeedRole(user);
+      if (seedRole) {
+        user.role = seedRole;
+        console.log(`Granted seeded ${seedRole} role to new user ${user._id}`);
+      }
+      
       await user.save();
     } else {
       // Update last active timestamp
       await user.updateLastActive();
     }
     
+    // Suspended accounts can't use the API
+    if (user.isSuspended) {
+      return res.status(403).json({ 
+        error: 'Account suspended.',
+        reason: user.suspension?.reason
+      });
+    }
+    
+    if (user.isPendingDeletion && !allowPendingDeletion) {
+      return res.status(403).json({ 
+        error: 'Account deletion pending.',
+        scheduledFor: user.deletion.scheduledFor
+      });
+    }
+    
     // Add user to request object
     req.user = user;
     req.auth0User = decoded;
@@ -84,6 +112,9 @@ const authenticate = async (req, res, next) => {
   }
 };
 
+const authenticate = authenticateWith();
+const authenticatePendingDeletion = authenticateWith({ allowPendingDeletion: true });
+
 // Optional authentication middleware (doesn't fail if no token)
 const optionalAuth = async (req, res, next) => {
   try {
@@ -102,7 +133,7 @@ const optionalAuth = async (req, res, next) => {
     const decoded = await verifyAuth0Token(token);
     const user = await User.findOne({ auth0Id: decoded.sub });
     
-    if (user) {
+    if (user && user.isActive) {
       req.user = user;
       req.auth0User = decoded;
       await user.updateLastActive();
@@ -137,7 +168,6 @@ const requireAdmin = (req, res, next) => {
     return res.status(401).json({ error: 'Authentication required.' });
   }
   
-  // Check if user has admin role (you can implement your own logic)
   if (!req.user.isAdmin) {
     return res.status(403).json({ error: 'Admin access required.' });
   }
@@ -145,6 +175,39 @@ const requireAdmin = (req, res, next) => {
   next();
 };
 
+// Permission middleware (permissions per role live in config/roles.js)
+const requirePermission = (permission) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required.' });
+    }
+    
+    if (!req.user.hasPermission(permission)) {
+      return res.status(403).json({ 
+        error: 'Permission denied.',
+        permission
+      });
+    }
+    
+    next();
+  };
+};
+
+// File downloads: a valid signed link needs no token (req.user stays unset),
+// anything else goes through regular authentication
+const authenticateOrSignedUrl = (req, res, next) => {
+  const { expires, signature } = req.query;
+  if (!expires && !signature) {
+    return authenticate(req, res, next);
+  }
+  
+  if (!verifySignedUrl(req.baseUrl + req.path, expires, signature)) {
+    return res.status(403).json({ error: 'Download link is invalid or has expired.' });
+  }
+  
+  next();
+};
+
 // Rate limiting for specific users
 const userRateLimit = (maxRequests = 100, windowMs = 15 * 60 * 1000) => {
   const requests = new Map();
@@ -236,10 +299,14 @@ const checkResourceAccess = (resourceType) => {
 };
 
 module.exports = {
+  verifyAuth0Token,
   authenticate,
+  authenticatePendingDeletion,
   optionalAuth,
   requireProfile,
   requireAdmin,
+  requirePermission,
+  authenticateOrSignedUrl,
   userRateLimit,
   checkResourceAccess
 };
\ No newline at end of file
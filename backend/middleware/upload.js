@@ -0,0 +1,52 @@
+const multer = require('multer');
+
+// Single-file upload middleware kept in memory (handlers decide where it goes)
+// Options: maxSize in bytes and allowed MIME types and file extensions; when
+// both are given a file must match both lists
+const uploadSingle = (fieldName, { maxSize = 5 * 1024 * 1024, mimeTypes = [], extensions = [] } = {}) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxSize, files: 1 },
+    fileFilter: (req, file, cb) => {
+      const extension = file.originalname.includes('.') ? file.originalname.split('.').pop().toLowerCase() : '';
+      const mimeTypeAllowed = mimeTypes.length === 0 || mimeTypes.includes(file.mimetype);
+      const extensionAllowed = extensions.length === 0 || extensions.includes(extension);
+
+      if (mimeTypeAllowed && extensionAllowed) {
+        return cb(null, true);
+      }
+
+      const error = new Error(`File type ${file.mimetype} (.${extension}) is not allowed`);
+      error.code = 'INVALID_FILE_TYPE';
+      cb(error);
+    }
+  }).single(fieldName);
+
+  return (req, res, next) => {
+    upload(req, res, (error) => {
+      if (!error) {
+        if (!req.file) {
+          return res.status(400).json({ error: `A file is required in the "${fieldName}" field` });
+        }
+        return next();
+      }
+
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({
+          error: 'File too large',
+          message: `Maximum file size is ${Math.round(maxSize / 1024)} KB`
+        });
+      }
+
+      if (error.code === 'INVALID_FILE_TYPE' || error instanceof multer.MulterError) {
+        return res.status(400).json({ error: 'Upload failed', message: error.message });
+      }
+
+      next(error);
+    });
+  };
+};
+
+module.exports = {
+  uploadSingle
+};
@@ -1,4 +1,15 @@
 const Joi = require('joi');
+const { DAYS, TIME_PATTERN, isValidTimezone, timeToMinutes } = require('../services/availability');
+const Report = require('../models/Report');
+const { ROLES } = require('../config/roles');
+const { decodeCursor } = require('../services/cursor');
+const { getAge } = require('../services/candidates');
+
+const objectIdString = () => Joi.string()
+  .pattern(/^[0-9a-fA-F]{24}$/)
+  .messages({
+    'string.pattern.base': 'Invalid ID format'
+  });
 
 // Generic validation middleware
 const validate = (schema, property = 'body') => {
@@ -18,6 +29,34 @@ const validate = (schema, property = 'body') => {
   };
 };
 
+// Weekly availability slot, e.g. { day: 'Monday', startTime: '18:00', endTime: '21:00' }
+const availabilitySlotSchema = Joi.object({
+  day: Joi.string()
+    .valid(...DAYS)
+    .required(),
+  
+  startTime: Joi.string()
+    .pattern(TIME_PATTERN)
+    .required()
+    .messages({
+      'string.pattern.base': 'Start time must be in HH:mm format'
+    }),
+  
+  endTime: Joi.string()
+    .pattern(TIME_PATTERN)
+    .required()
+    .messages({
+      'string.pattern.base': 'End time must be in HH:mm format'
+    })
+}).custom((slot, helpers) => {
+  if (timeToMinutes(slot.endTime) <= timeToMinutes(slot.startTime)) {
+    return helpers.error('any.invalid');
+  }
+  return slot;
+}).messages({
+  'any.invalid': 'Availability end time must be after start time'
+});
+
 // User profile validation schema
 const profileSchema = Joi.object({
   subjects: Joi.array()
@@ -41,12 +80,20 @@ const profileSchema = Joi.object({
     }),
   
   availability: Joi.array()
-    .items(Joi.string().valid('Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'))
+    .items(availabilitySlotSchema)
     .min(1)
-    .max(7)
+    .max(50)
     .required()
     .messages({
-      'array.min': 'At least one day of availability is required'
+      'array.min': 'At least one availability slot is required',
+      'array.max': 'Maximum 50 availability slots allowed'
+    }),
+  
+  timezone: Joi.string()
+    .custom((value, helpers) => isValidTimezone(value) ? value : helpers.error('any.invalid'))
+    .default('UTC')
+    .messages({
+      'any.invalid': 'Timezone must be a valid IANA timezone (e.g. Europe/Berlin)'
     }),
   
   performanceLevel: Joi.number()
@@ -67,11 +114,28 @@ const profileSchema = Joi.object({
       'string.max': 'Goals must be less than 500 characters'
     }),
   
+  // Private unless settings.privacy.showAge / showGender are enabled
+  birthdate: Joi.date()
+    .iso()
+    .max('now')
+    .custom((value, helpers) => {
+      const age = getAge(value);
+      return age >= 13 && age <= 120 ? value : helpers.error('any.invalid');
+    })
+    .allow(null)
+    .messages({
+      'any.invalid': 'Birthdate must give an age between 13 and 120'
+    }),
+  
+  gender: Joi.string()
+    .valid('male', 'female', 'other', 'prefer-not-to-say')
+    .allow(null),
+  
   preferences: Joi.object({
     maxDistance: Joi.number().min(1).max(500).default(50),
     ageRange: Joi.object({
       min: Joi.number().min(18).max(100).default(18),
-      max: Joi.number().min(18).max(100).default(65)
+      max: Joi.number().min(Joi.ref('min')).max(100).default(65)
     }),
     genderPreference: Joi.string().valid('any', 'male', 'female', 'other').default('any')
   }).optional()
@@ -175,12 +239,46 @@ const sessionSchema = Joi.object({
       then: Joi.required(),
       otherwise: Joi.optional()
     }),
-    endDate: Joi.date().iso().min(Joi.ref('scheduledDate')).when('isRecurring', {
+    endDate: Joi.date().iso().min(Joi.ref('...scheduledDate')).when('isRecurring', {
       is: true,
       then: Joi.required(),
       otherwise: Joi.optional()
     })
-  }).optional()
+  }).optional(),
+  
+  reminders: Joi.array()
+    .items(Joi.object({
+      type: Joi.string().valid('email', 'push', 'sms').required(),
+      timing: Joi.number().integer().min(1).max(7 * 24 * 60).required()
+    }))
+    .max(5)
+    .optional()
+    .messages({
+      'array.max': 'Maximum 5 reminders allowed'
+    }),
+  
+  allowConflict: Joi.boolean().default(false)
+});
+
+// Session update (PATCH /api/sessions/:id): the editable session fields, all optional
+const sessionUpdateSchema = Joi.object({
+  title: sessionSchema.extract('title').optional(),
+  subject: sessionSchema.extract('subject').optional(),
+  description: sessionSchema.extract('description'),
+  scheduledDate: sessionSchema.extract('scheduledDate').optional(),
+  duration: sessionSchema.extract('duration').optional(),
+  location: sessionSchema.extract('location').optional(),
+  maxParticipants: Joi.number()
+    .integer()
+    .min(2)
+    .max(10),
+  
+  scope: Joi.string()
+    .valid('this', 'following', 'series')
+    .default('this'),
+  
+  // Strict, since the route reads the body as sent and "false" would be truthy
+  allowConflict: Joi.boolean().strict()
 });
 
 // Message validation schema
@@ -195,13 +293,105 @@ const messageSchema = Joi.object({
       'string.max': 'Message must be less than 1000 characters'
     }),
   
-  type: Joi.string()
-    .valid('text', 'image', 'file', 'location')
+  // Images and files are sent through the attachment upload
+  messageType: Joi.string()
+    .valid('text', 'location', 'session-invite')
     .default('text'),
   
-  metadata: Joi.object().optional()
+  // Storage keys are only set by the attachment upload
+  metadata: Joi.when('messageType', {
+    is: 'session-invite',
+    then: Joi.object({
+      sessionId: objectIdString().required()
+    }).required(),
+    otherwise: Joi.object({
+      storageKey: Joi.forbidden(),
+      thumbnailKey: Joi.forbidden()
+    }).unknown(true).optional()
+  }),
+  
+  replyTo: objectIdString().optional()
+});
+
+const inviteResponseSchema = Joi.object({
+  response: Joi.string()
+    .valid('accept', 'decline')
+    .required(),
+  
+  // Accept even if the invitee already has a session at that time
+  allowConflict: Joi.boolean().default(false)
+});
+
+// Attachment upload fields (multipart form, the file itself is in "file")
+const attachmentSchema = Joi.object({
+  caption: Joi.string()
+    .trim()
+    .max(1000)
+    .allow('')
+    .optional(),
+  
+  replyTo: objectIdString().optional()
+});
+
+// Session material: a link or a note (files go through the upload route)
+const materialSchema = Joi.object({
+  type: Joi.string()
+    .valid('link', 'note')
+    .required(),
+  
+  name: Joi.string()
+    .trim()
+    .min(1)
+    .max(100)
+    .required(),
+  
+  url: Joi.when('type', {
+    is: 'link',
+    then: Joi.string().uri({ scheme: ['http', 'https'] }).required(),
+    otherwise: Joi.forbidden()
+  }),
+  
+  content: Joi.when('type', {
+    is: 'note',
+    then: Joi.string().trim().min(1).max(5000).required(),
+    otherwise: Joi.string().trim().max(500).optional()
+  }),
+  
+  isShared: Joi.boolean().default(false)
 });
 
+// Uploaded material fields (multipart form, the file itself is in "file")
+const materialUploadSchema = Joi.object({
+  name: Joi.string()
+    .trim()
+    .max(100)
+    .optional(),
+  
+  content: Joi.string()
+    .trim()
+    .max(500)
+    .allow('')
+    .optional(),
+  
+  isShared: Joi.boolean().default(false)
+});
+
+const materialUpdateSchema = Joi.object({
+  name: Joi.string()
+    .trim()
+    .min(1)
+    .max(100),
+  
+  url: Joi.string().uri({ scheme: ['http', 'https'] }),
+  
+  content: Joi.string()
+    .trim()
+    .max(5000)
+    .allow(''),
+  
+  isShared: Joi.boolean()
+}).min(1);
+
 // Rating/Feedback validation schema
 const feedbackSchema = Joi.object({
   rating: Joi.number()
@@ -230,6 +420,84 @@ const feedbackSchema = Joi.object({
   }).optional()
 });
 
+// User report validation schema
+const reportSchema = Joi.object({
+  reason: Joi.string()
+    .valid(...Report.REASONS)
+    .required()
+    .messages({
+      'any.required': 'Report reason is required',
+      'any.only': `Reason must be one of: ${Report.REASONS.join(', ')}`
+    }),
+  
+  description: Joi.string()
+    .trim()
+    .max(1000)
+    .allow('')
+    .optional(),
+  
+  evidence: Joi.object({
+    messages: Joi.array().items(objectIdString()).max(20).optional(),
+    sessions: Joi.array().items(objectIdString()).max(10).optional()
+  }).optional()
+});
+
+// Moderator decision on a report
+const reportResolutionSchema = Joi.object({
+  status: Joi.string()
+    .valid('actioned', 'dismissed')
+    .required(),
+  
+  action: Joi.string()
+    .valid(...Report.ACTIONS)
+    .when('status', { is: 'actioned', then: Joi.required() }),
+  
+  outcome: Joi.string()
+    .trim()
+    .max(500)
+    .allow('')
+    .optional(),
+  
+  note: Joi.string()
+    .trim()
+    .max(1000)
+    .allow('')
+    .optional()
+});
+
+// Admin: suspend or reinstate a user
+const userStatusSchema = Joi.object({
+  isActive: Joi.boolean().required(),
+  
+  reason: Joi.string()
+    .trim()
+    .max(500)
+    .when('isActive', { is: false, then: Joi.required() })
+    .messages({
+      'any.required': 'A reason is required when suspending a user'
+    })
+});
+
+// Admin: change a user's role
+const userRoleSchema = Joi.object({
+  role: Joi.string()
+    .valid(...ROLES)
+    .required()
+});
+
+// Admin: force-cancel a session
+const adminCancelSchema = Joi.object({
+  reason: Joi.string()
+    .trim()
+    .min(1)
+    .max(300)
+    .required(),
+  
+  scope: Joi.string()
+    .valid('this', 'following', 'series')
+    .default('this')
+});
+
 // Query parameter validation schemas
 const paginationSchema = Joi.object({
   page: Joi.number()
@@ -244,7 +512,49 @@ const paginationSchema = Joi.object({
     .default(20)
 });
 
-const matchQuerySchema = paginationSchema.keys({
+// Opaque cursor issued in a previous response (see services/cursor.js)
+const cursor = () => Joi.string()
+  .custom((value, helpers) => {
+    try {
+      decodeCursor(value);
+    } catch (error) {
+      return helpers.message('{{#label}} is not a valid cursor');
+    }
+    return value;
+  });
+
+// Cursor pagination: before loads older items, after newer ones
+const cursorPaginationSchema = Joi.object({
+  before: cursor(),
+  after: cursor(),
+  
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .default(20)
+}).oxor('before', 'after')
+  .messages({
+    'object.oxor': 'Use either before or after, not both'
+  });
+
+const findMatchesSchema = Joi.object({
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(50)
+    .default(20),
+  
+  forceRefresh: Joi.boolean().default(false),
+  
+  // Overrides the deployment's MATCH_MIN_COMPATIBILITY for this search
+  minCompatibility: Joi.number()
+    .min(0)
+    .max(100)
+    .optional()
+});
+
+const matchQuerySchema = cursorPaginationSchema.keys({
   status: Joi.string()
     .valid('pending', 'active', 'blocked', 'declined')
     .default('active'),
@@ -259,7 +569,7 @@ const matchQuerySchema = paginationSchema.keys({
     .optional()
 });
 
-const sessionQuerySchema = paginationSchema.keys({
+const sessionQuerySchema = cursorPaginationSchema.keys({
   status: Joi.string()
     .valid('scheduled', 'in-progress', 'completed', 'cancelled', 'rescheduled')
     .optional(),
@@ -274,6 +584,134 @@ const sessionQuerySchema = paginationSchema.keys({
     .optional()
 });
 
+const messageSearchQuerySchema = paginationSchema.keys({
+  q: Joi.string()
+    .trim()
+    .min(2)
+    .max(200)
+    .required(),
+  
+  chatId: objectIdString().optional(),
+  senderId: objectIdString().optional(),
+  
+  from: Joi.date().iso().optional(),
+  to: Joi.date().iso().min(Joi.ref('from')).optional(),
+  
+  messageType: Joi.string()
+    .valid('text', 'image', 'file', 'location', 'session-invite')
+    .optional(),
+  
+  // Messages shown before and after each result
+  context: Joi.number()
+    .integer()
+    .min(0)
+    .max(5)
+    .default(2),
+  
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(50)
+    .default(20)
+});
+
+const materialLibraryQuerySchema = paginationSchema.keys({
+  subject: Joi.string()
+    .trim()
+    .min(1)
+    .required(),
+  
+  type: Joi.string()
+    .valid('link', 'file', 'note')
+    .optional()
+});
+
+const suggestedSlotsQuerySchema = Joi.object({
+  duration: Joi.number()
+    .integer()
+    .min(15)
+    .max(480)
+    .default(60),
+  
+  count: Joi.number()
+    .integer()
+    .min(1)
+    .max(20)
+    .default(5),
+  
+  from: Joi.date().iso().optional(),
+  
+  days: Joi.number()
+    .integer()
+    .min(1)
+    .max(60)
+    .default(14)
+});
+
+// Multipart fields sent alongside an uploaded .ics file
+const availabilityImportSchema = Joi.object({
+  mode: Joi.string()
+    .valid('preview', 'replace')
+    .default('preview'),
+  
+  timezone: Joi.string()
+    .custom((value, helpers) => (isValidTimezone(value) ? value : helpers.error('any.invalid')))
+    .optional()
+    .messages({
+      'any.invalid': 'Timezone must be a valid IANA timezone (e.g. Europe/Berlin)'
+    }),
+  
+  weeks: Joi.number()
+    .integer()
+    .min(1)
+    .max(8)
+    .default(2),
+  
+  dayStart: Joi.string()
+    .pattern(TIME_PATTERN)
+    .default('08:00')
+    .messages({
+      'string.pattern.base': 'Day start must be in HH:mm format'
+    }),
+  
+  dayEnd: Joi.string()
+    .pattern(TIME_PATTERN)
+    .default('22:00')
+    .messages({
+      'string.pattern.base': 'Day end must be in HH:mm format'
+    }),
+  
+  minDuration: Joi.number()
+    .integer()
+    .min(15)
+    .max(480)
+    .default(60)
+});
+
+const reportQuerySchema = paginationSchema.keys({
+  status: Joi.string()
+    .valid(...Object.keys(Report.STATUS_TRANSITIONS))
+    .optional(),
+  
+  reason: Joi.string()
+    .valid(...Report.REASONS)
+    .optional(),
+  
+  reportedUser: objectIdString().optional()
+});
+
+const adminUserQuerySchema = paginationSchema.keys({
+  q: Joi.string().trim().max(100).optional(),
+  role: Joi.string().valid(...ROLES).optional(),
+  isActive: Joi.boolean().optional()
+});
+
+const auditLogQuerySchema = paginationSchema.keys({
+  action: Joi.string().max(50).optional(),
+  actor: objectIdString().optional(),
+  targetId: objectIdString().optional()
+});
+
 // MongoDB ObjectId validation
 const objectIdSchema = Joi.object({
   id: Joi.string()
@@ -285,8 +723,15 @@ const objectIdSchema = Joi.object({
 });
 
 // Custom validation functions
+// Checks every ID route param: "id" and names like "chatId" or "userId"
 const validateObjectId = (req, res, next) => {
-  const { error } = objectIdSchema.validate({ id: req.params.id });
+  const ids = Object.keys(req.params)
+    .filter(name => name === 'id' || name.endsWith('Id'))
+    .map(name => req.params[name]);
+  
+  const error = ids.length === 0
+    ? objectIdSchema.validate({ id: undefined }).error
+    : ids.map(id => objectIdSchema.validate({ id }).error).find(Boolean);
   
   if (error) {
     return res.status(400).json({ 
@@ -327,12 +772,33 @@ module.exports = {
   validatePassword,
   schemas: {
     profile: profileSchema,
+    availabilitySlot: availabilitySlotSchema,
+    availabilityImport: availabilityImportSchema,
     session: sessionSchema,
+    sessionUpdate: sessionUpdateSchema,
     message: messageSchema,
+    attachment: attachmentSchema,
+    inviteResponse: inviteResponseSchema,
     feedback: feedbackSchema,
+    material: materialSchema,
+    materialUpload: materialUploadSchema,
+    materialUpdate: materialUpdateSchema,
+    report: reportSchema,
+    reportResolution: reportResolutionSchema,
+    userStatus: userStatusSchema,
+    userRole: userRoleSchema,
+    adminCancel: adminCancelSchema,
     pagination: paginationSchema,
     matchQuery: matchQuerySchema,
+    findMatches: findMatchesSchema,
     sessionQuery: sessionQuerySchema,
+    cursorPagination: cursorPaginationSchema,
+    materialLibraryQuery: materialLibraryQuerySchema,
+    messageSearchQuery: messageSearchQuerySchema,
+    suggestedSlotsQuery: suggestedSlotsQuerySchema,
+    reportQuery: reportQuerySchema,
+    adminUserQuery: adminUserQuerySchema,
+    auditLogQuery: auditLogQuerySchema,
     objectId: objectIdSchema
   }
 };
\ No newline at end of file
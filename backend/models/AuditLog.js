@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  actorRole: String,
+  // Dotted action name, e.g. "user.suspend" or "session.cancel"
+  action: {
+    type: String,
+    required: true,
+    index: true
+  },
+  targetType: {
+    type: String,
+    enum: ['User', 'Match', 'Session', 'Report'],
+    required: true
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  ip: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+// Static method to record an action taken by the authenticated user
+auditLogSchema.statics.record = function(req, action, targetType, targetId, details = {}) {
+  return this.create({
+    actor: req.user._id,
+    actorRole: req.user.role,
+    action,
+    targetType,
+    targetId,
+    details,
+    ip: req.ip
+  });
+};
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
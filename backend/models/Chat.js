@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+const chatSchema = new mongoose.Schema({
+  participants: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }],
+  chatType: {
+    type: String,
+    enum: ['direct', 'group'],
+    default: 'direct'
+  },
+  // Direct chats only: the sorted participant ids, so each pair has one chat
+  pairKey: String,
+  // Group chats belong to a group session (the first session of a series)
+  sessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session'
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  lastMessage: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message'
+  },
+  lastActivity: {
+    type: Date,
+    default: Date.now
+  },
+  unreadCounts: [{
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    count: {
+      type: Number,
+      default: 0
+    }
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+chatSchema.index({ participants: 1 });
+chatSchema.index({ pairKey: 1 }, { unique: true, sparse: true });
+chatSchema.index({ sessionId: 1 }, { unique: true, sparse: true });
+chatSchema.index({ lastActivity: -1 });
+
+// Key of the direct chat between two users, whatever the order
+chatSchema.statics.getPairKey = function(userId1, userId2) {
+  return [userId1.toString(), userId2.toString()].sort().join('_');
+};
+
+chatSchema.pre('validate', function(next) {
+  if (this.chatType === 'direct' && this.participants.length === 2) {
+    this.pairKey = this.constructor.getPairKey(...this.participants);
+  }
+  next();
+});
+
+module.exports = mongoose.model('Chat', chatSchema);
\ No newline at end of file
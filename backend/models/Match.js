@@ -19,6 +19,18 @@ const matchSchema = new mongoose.Schema({
     min: 0,
     max: 100
   },
+  compatibilityBreakdown: [{
+    _id: false,
+    factor: String,
+    weight: Number,
+    value: Number,
+    points: Number
+  }],
+  reasons: [{
+    _id: false,
+    factor: String,
+    message: String
+  }],
   status: {
     type: String,
     enum: ['pending', 'active', 'blocked', 'declined'],
@@ -32,7 +44,7 @@ const matchSchema = new mongoose.Schema({
   interactionHistory: [{
     type: {
       type: String,
-      enum: ['view', 'like', 'message', 'session_request', 'session_completed', 'rating'],
+      enum: ['view', 'like', 'message', 'session_request', 'session_completed', 'rating', 'report', 'decline', 'delete', 'block', 'undo'],
       required: true
     },
     timestamp: {
@@ -82,7 +94,9 @@ const matchSchema = new mongoose.Schema({
   updatedAt: {
     type: Date,
     default: Date.now
-  }
+  },
+  // Sorted ids of both users, so a pair can't end up with two matches
+  pairKey: String
 }, {
   timestamps: true
 });
@@ -91,6 +105,7 @@ const matchSchema = new mongoose.Schema({
 matchSchema.index({ userId: 1, status: 1 });
 matchSchema.index({ matchedUserId: 1, status: 1 });
 matchSchema.index({ userId: 1, matchedUserId: 1 }, { unique: true });
+matchSchema.index({ pairKey: 1 }, { unique: true, sparse: true });
 matchSchema.index({ compatibility: -1 });
 matchSchema.index({ lastInteraction: -1 });
 
@@ -108,8 +123,8 @@ matchSchema.virtual('averageRating').get(function() {
   return ratings.reduce((a, b) => a + b, 0) / ratings.length;
 });
 
-// Method to add interaction
-matchSchema.methods.addInteraction = function(type, details = {}) {
+// Method to record an interaction without saving
+matchSchema.methods.recordInteraction = function(type, details = {}) {
   this.interactionHistory.push({
     type,
     details,
@@ -121,7 +136,11 @@ matchSchema.methods.addInteraction = function(type, details = {}) {
   if (type === 'session_completed') {
     this.sessionCount += 1;
   }
-  
+};
+
+// Method to add interaction
+matchSchema.methods.addInteraction = function(type, details = {}) {
+  this.recordInteraction(type, details);
   return this.save();
 };
 
@@ -144,7 +163,7 @@ matchSchema.methods.toggleLike = function(userId) {
     this.matchType = 'mutual';
   }
   
-  this.addInteraction('like', { userId, liked: isUser ? this.userLiked : this.matchedUserLiked });
+  this.recordInteraction('like', { userId, liked: isUser ? this.userLiked : this.matchedUserLiked });
   
   return this.save();
 };
@@ -165,7 +184,7 @@ matchSchema.methods.addRating = function(userId, score, comment = '') {
     this.ratings.matchedUserRating = ratingData;
   }
   
-  this.addInteraction('rating', { userId, score, comment });
+  this.recordInteraction('rating', { userId, score, comment });
   
   return this.save();
 };
@@ -198,13 +217,45 @@ matchSchema.statics.findExistingMatch = async function(userId1, userId2) {
   });
 };
 
+// Key of the match between two users, whatever the order
+matchSchema.statics.getPairKey = function(userId1, userId2) {
+  return [userId1.toString(), userId2.toString()].sort().join('_');
+};
+
+/**
+ * Create the match between two users unless the pair already has one, in one
+ * atomic upsert so concurrent requests can't create it twice.
+ * fields: the rest of the new match (compatibility, matchType, ...)
+ * Returns { match, created }.
+ */
+matchSchema.statics.createPairOnce = async function(userId, matchedUserId, fields = {}) {
+  const pairKey = this.getPairKey(userId, matchedUserId);
+  
+  try {
+    const result = await this.findOneAndUpdate(
+      { pairKey },
+      { $setOnInsert: { userId, matchedUserId, ...fields } },
+      { upsert: true, new: true, setDefaultsOnInsert: true, rawResult: true }
+    );
+    return { match: result.value, created: !result.lastErrorObject?.updatedExisting };
+  } catch (error) {
+    // Two upserts raced; the other one inserted the match
+    if (error.code === 11000) {
+      return { match: await this.findOne({ pairKey }), created: false };
+    }
+    throw error;
+  }
+};
+
 // Static method to create or update match
-matchSchema.statics.createOrUpdateMatch = async function(userId, matchedUserId, compatibility) {
+matchSchema.statics.createOrUpdateMatch = async function(userId, matchedUserId, compatibility, compatibilityBreakdown = [], reasons = []) {
   const existingMatch = await this.findExistingMatch(userId, matchedUserId);
   
   if (existingMatch) {
     // Update existing match
     existingMatch.compatibility = compatibility;
+    existingMatch.compatibilityBreakdown = compatibilityBreakdown;
+    existingMatch.reasons = reasons;
     existingMatch.lastInteraction = new Date();
     return existingMatch.save();
   } else {
@@ -213,12 +264,21 @@ matchSchema.statics.createOrUpdateMatch = async function(userId, matchedUserId,
       userId,
       matchedUserId,
       compatibility,
+      compatibilityBreakdown,
+      reasons,
       status: 'pending',
       matchType: 'suggested'
     });
   }
 };
 
+matchSchema.pre('validate', function(next) {
+  if (this.userId && this.matchedUserId) {
+    this.pairKey = this.constructor.getPairKey(this.userId._id || this.userId, this.matchedUserId._id || this.matchedUserId);
+  }
+  next();
+});
+
 // Pre-save middleware
 matchSchema.pre('save', function(next) {
   if (this.isModified() && !this.isNew) {
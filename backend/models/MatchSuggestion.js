@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+// Precomputed top suggestions for one user (see services/matchSuggestions.js)
+const matchSuggestionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  suggestions: [{
+    _id: false,
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    compatibility: Number,
+    compatibilityBreakdown: [{
+      _id: false,
+      factor: String,
+      weight: Number,
+      value: Number,
+      points: Number
+    }],
+    reasons: [{
+      _id: false,
+      factor: String,
+      message: String
+    }]
+  }],
+  // Threshold the suggestions were computed with; lower requests can't be served from here
+  minCompatibility: {
+    type: Number,
+    default: 0
+  },
+  computedAt: Date,
+  // Set when the user's profile, or a suggested user's profile, changed
+  stale: {
+    type: Boolean,
+    default: true
+  },
+  invalidatedAt: Date
+});
+
+// The refresh job picks stale and oldest entries first
+matchSuggestionSchema.index({ stale: -1, computedAt: 1 });
+matchSuggestionSchema.index({ 'suggestions.userId': 1 });
+
+// Seconds since the suggestions were computed
+matchSuggestionSchema.methods.getAgeSeconds = function(now = new Date()) {
+  if (!this.computedAt) return null;
+  return Math.max(0, Math.round((now - this.computedAt) / 1000));
+};
+
+// Mark the user's own entry and every entry suggesting them as stale.
+// The user's entry is created if missing so the refresh job picks it up.
+matchSuggestionSchema.statics.invalidateForUser = async function(userId, now = new Date()) {
+  await this.updateOne(
+    { userId },
+    { $set: { stale: true, invalidatedAt: now } },
+    { upsert: true }
+  );
+
+  return this.updateMany(
+    { 'suggestions.userId': userId },
+    { $set: { stale: true, invalidatedAt: now } }
+  );
+};
+
+module.exports = mongoose.model('MatchSuggestion', matchSuggestionSchema);
@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+const messageSchema = new mongoose.Schema({
+  chatId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  senderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Only set for direct chats; group messages go to every chat participant
+  receiverId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+  message: {
+    type: String,
+    required: true,
+    maxlength: 1000
+  },
+  messageType: {
+    type: String,
+    enum: ['text', 'image', 'file', 'location', 'session-invite'],
+    default: 'text'
+  },
+  metadata: {
+    fileName: String,
+    fileSize: Number,
+    fileType: String,
+    imageUrl: String,
+    // Uploaded attachments: keys in file storage and image dimensions
+    storageKey: String,
+    thumbnailKey: String,
+    width: Number,
+    height: Number,
+    location: {
+      latitude: Number,
+      longitude: Number,
+      address: String
+    },
+    sessionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Session'
+    }
+  },
+  // Overall status: delivered/read once every recipient has received/read it
+  status: {
+    type: String,
+    enum: ['sent', 'delivered', 'read'],
+    default: 'sent'
+  },
+  // One entry per recipient (every chat participant except the sender)
+  receipts: [{
+    _id: false,
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    deliveredAt: Date,
+    readAt: Date
+  }],
+  editedAt: Date,
+  isEdited: {
+    type: Boolean,
+    default: false
+  },
+  replyTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+messageSchema.index({ chatId: 1, createdAt: -1 });
+messageSchema.index({ senderId: 1, receiverId: 1 });
+messageSchema.index({ status: 1, receiverId: 1 });
+messageSchema.index({ 'receipts.userId': 1, 'receipts.readAt': 1 });
+// Full-text search over message content (GET /api/messages/search)
+messageSchema.index({ message: 'text' });
+
+module.exports = mongoose.model('Message', messageSchema);
\ No newline at end of file
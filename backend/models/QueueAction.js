@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+const QUEUE_ACTIONS = ['like', 'skip'];
+
+// A like or skip from the discovery queue (see services/discoveryQueue.js)
+const queueActionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  targetUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: QUEUE_ACTIONS,
+    required: true
+  },
+  // Likes: the match that was liked, whether the like created it and its
+  // state before, so the like can be undone
+  matchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Match'
+  },
+  matchCreated: {
+    type: Boolean,
+    default: false
+  },
+  previous: {
+    status: String,
+    matchType: String
+  },
+  // Skips: the user isn't shown again before this date
+  cooldownUntil: Date,
+  undoneAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+queueActionSchema.index({ userId: 1, createdAt: -1 });
+queueActionSchema.index({ userId: 1, type: 1, cooldownUntil: 1 });
+queueActionSchema.index({ targetUserId: 1 });
+
+// Ids of the users the user skipped whose cooldown hasn't ended
+queueActionSchema.statics.findCoolingDownIds = function(userId, now = new Date()) {
+  return this.distinct('targetUserId', {
+    userId,
+    type: 'skip',
+    cooldownUntil: { $gt: now },
+    undoneAt: null
+  });
+};
+
+queueActionSchema.statics.ACTIONS = QUEUE_ACTIONS;
+
+module.exports = mongoose.model('QueueAction', queueActionSchema);
@@ -0,0 +1,158 @@
+const mongoose = require('mongoose');
+
+const REPORT_REASONS = [
+  'harassment',
+  'spam',
+  'inappropriate-content',
+  'fake-profile',
+  'no-show',
+  'academic-dishonesty',
+  'other'
+];
+
+const REPORT_ACTIONS = ['none', 'warning', 'content-removed', 'suspended'];
+
+// Allowed status changes: pending → under-review → actioned/dismissed
+const STATUS_TRANSITIONS = {
+  pending: ['under-review', 'dismissed'],
+  'under-review': ['actioned', 'dismissed'],
+  actioned: [],
+  dismissed: []
+};
+
+const reportSchema = new mongoose.Schema({
+  reportedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  reportedUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  reason: {
+    type: String,
+    enum: REPORT_REASONS,
+    required: true
+  },
+  description: {
+    type: String,
+    maxlength: 1000,
+    default: ''
+  },
+  evidence: {
+    messages: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message'
+    }],
+    sessions: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Session'
+    }]
+  },
+  status: {
+    type: String,
+    enum: Object.keys(STATUS_TRANSITIONS),
+    default: 'pending',
+    index: true
+  },
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resolution: {
+    action: {
+      type: String,
+      enum: REPORT_ACTIONS
+    },
+    // Shown to the reporter
+    outcome: {
+      type: String,
+      maxlength: 500
+    },
+    // Internal moderator note
+    note: {
+      type: String,
+      maxlength: 1000
+    },
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    resolvedAt: Date
+  },
+  history: [{
+    _id: false,
+    status: String,
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    note: String,
+    timestamp: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+// Indexes for the moderation queue
+reportSchema.index({ status: 1, createdAt: 1 });
+reportSchema.index({ reportedBy: 1, reportedUser: 1, status: 1 });
+
+// Method to move the report through the workflow
+reportSchema.methods.transitionTo = function(status, changedBy, note = '') {
+  if (!STATUS_TRANSITIONS[this.status].includes(status)) {
+    const error = new Error(`Cannot change report status from ${this.status} to ${status}`);
+    error.code = 'INVALID_TRANSITION';
+    throw error;
+  }
+
+  this.status = status;
+  this.history.push({ status, changedBy, note });
+
+  return this;
+};
+
+// Method to close the report with an outcome
+reportSchema.methods.resolve = function(status, resolvedBy, { action = 'none', outcome = '', note = '' } = {}) {
+  this.transitionTo(status, resolvedBy, note);
+  this.resolution = {
+    action: status === 'dismissed' ? 'none' : action,
+    outcome,
+    note,
+    resolvedBy,
+    resolvedAt: new Date()
+  };
+
+  return this.save();
+};
+
+// Reporter-facing view without internal moderation notes
+reportSchema.methods.toReporterJSON = function() {
+  return {
+    id: this._id,
+    reportedUser: this.reportedUser,
+    reason: this.reason,
+    description: this.description,
+    status: this.status,
+    outcome: this.resolution?.resolvedAt ? {
+      action: this.resolution.action,
+      message: this.resolution.outcome,
+      resolvedAt: this.resolution.resolvedAt
+    } : null,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+reportSchema.statics.REASONS = REPORT_REASONS;
+reportSchema.statics.ACTIONS = REPORT_ACTIONS;
+reportSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+
+module.exports = mongoose.model('Report', reportSchema);
@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const { getSeriesDates } = require('../services/recurrence');
+
+const PARTICIPANT_STATUSES = ['invited', 'accepted', 'declined', 'attended', 'no-show'];
 
 const sessionSchema = new mongoose.Schema({
   participants: [{
@@ -14,7 +17,7 @@ const sessionSchema = new mongoose.Schema({
     },
     status: {
       type: String,
-      enum: ['invited', 'accepted', 'declined', 'attended', 'no-show'],
+      enum: PARTICIPANT_STATUSES,
       default: 'invited'
     },
     joinedAt: Date,
@@ -99,6 +102,17 @@ const sessionSchema = new mongoose.Schema({
     },
     url: String,
     content: String,
+    // Uploaded files: original name, size and type plus keys in file storage
+    fileName: String,
+    fileSize: Number,
+    fileType: String,
+    storageKey: String,
+    thumbnailKey: String,
+    // Shared materials show up in the subject library once the session is over
+    isShared: {
+      type: Boolean,
+      default: false
+    },
     uploadedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
@@ -106,7 +120,8 @@ const sessionSchema = new mongoose.Schema({
     uploadedAt: {
       type: Date,
       default: Date.now
-    }
+    },
+    updatedAt: Date
   }],
   feedback: [{
     userId: {
@@ -149,7 +164,10 @@ const sessionSchema = new mongoose.Schema({
     parentSessionId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Session'
-    }
+    },
+    // Slot this occurrence fills in the series; unlike scheduledDate it only
+    // moves when the whole series is rescheduled (used as iCal RECURRENCE-ID)
+    occurrenceDate: Date
   },
   reminders: [{
     type: {
@@ -189,6 +207,8 @@ sessionSchema.index({ scheduledDate: 1, status: 1 });
 sessionSchema.index({ 'participants.userId': 1, status: 1 });
 sessionSchema.index({ subject: 1, scheduledDate: 1 });
 sessionSchema.index({ createdBy: 1, scheduledDate: -1 });
+sessionSchema.index({ 'recurring.parentSessionId': 1, scheduledDate: 1 });
+sessionSchema.index({ 'materials.isShared': 1, subject: 1 });
 
 // Virtual for session duration in hours
 sessionSchema.virtual('durationInHours').get(function() {
@@ -249,6 +269,27 @@ sessionSchema.methods.updateParticipantStatus = function(userId, status) {
   return this.save();
 };
 
+// Method to change a participant's status on behalf of a user:
+// the organizer may update anyone, everybody else only themselves
+sessionSchema.methods.changeParticipantStatus = function(actorId, participantId, status) {
+  if (!PARTICIPANT_STATUSES.includes(status)) {
+    const error = new Error('Invalid status');
+    error.code = 'INVALID_STATUS';
+    throw error;
+  }
+  
+  const isOrganizer = this.createdBy.toString() === actorId.toString();
+  const isSelf = participantId.toString() === actorId.toString();
+  
+  if (!isOrganizer && !isSelf) {
+    const error = new Error('Cannot update other participants status');
+    error.code = 'FORBIDDEN';
+    throw error;
+  }
+  
+  return this.updateParticipantStatus(participantId, status);
+};
+
 // Method to start session
 sessionSchema.methods.startSession = function() {
   this.status = 'in-progress';
@@ -290,6 +331,8 @@ sessionSchema.methods.addFeedback = function(userId, rating, comment = '', categ
   return this.save();
 };
 
+sessionSchema.statics.PARTICIPANT_STATUSES = PARTICIPANT_STATUSES;
+
 // Static method to find user sessions
 sessionSchema.statics.findUserSessions = async function(userId, status = null, page = 1, limit = 20) {
   const skip = (page - 1) * limit;
@@ -310,6 +353,66 @@ sessionSchema.statics.findUserSessions = async function(userId, status = null, p
     .limit(limit);
 };
 
+// Static method to find the shared materials of past sessions in a subject, newest first
+sessionSchema.statics.findSharedMaterials = async function(subject, { type, page = 1, limit = 20, now = new Date() } = {}) {
+  const skip = (page - 1) * limit;
+  const escapedSubject = subject.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  
+  const materialFilter = { 'materials.isShared': true };
+  if (type) {
+    materialFilter['materials.type'] = type;
+  }
+  
+  const [result] = await this.aggregate([
+    {
+      $match: {
+        subject: { $regex: `^${escapedSubject}$`, $options: 'i' },
+        status: { $ne: 'cancelled' },
+        scheduledDate: { $lt: now },
+        'materials.isShared': true
+      }
+    },
+    { $unwind: '$materials' },
+    { $match: materialFilter },
+    { $sort: { 'materials.uploadedAt': -1, _id: 1 } },
+    {
+      $facet: {
+        materials: [
+          { $skip: skip },
+          { $limit: limit },
+          {
+            $lookup: {
+              from: 'users',
+              localField: 'materials.uploadedBy',
+              foreignField: '_id',
+              as: 'uploader'
+            }
+          },
+          {
+            $project: {
+              _id: 0,
+              material: '$materials',
+              uploader: { $arrayElemAt: ['$uploader', 0] },
+              session: {
+                _id: '$_id',
+                title: '$title',
+                subject: '$subject',
+                scheduledDate: '$scheduledDate'
+              }
+            }
+          }
+        ],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]);
+  
+  return {
+    materials: result.materials,
+    total: result.total.length > 0 ? result.total[0].count : 0
+  };
+};
+
 // Static method to find upcoming sessions
 sessionSchema.statics.findUpcomingSessions = async function(userId, hours = 24) {
   const now = new Date();
@@ -327,6 +430,108 @@ sessionSchema.statics.findUpcomingSessions = async function(userId, hours = 24)
   .sort({ scheduledDate: 1 });
 };
 
+// Static method to find active sessions for any of the users that overlap [start, end)
+// excludeSessionIds may be a single ID or an array
+sessionSchema.statics.findOverlappingSessions = async function(userIds, start, end, excludeSessionIds = null) {
+  return this.findOverlappingRanges([{ userIds, start, end }], excludeSessionIds);
+};
+
+// Static method to find active sessions overlapping any of several
+// { userIds, start, end } ranges, e.g. every occurrence of a series, in one query
+sessionSchema.statics.findOverlappingRanges = async function(ranges, excludeSessionIds = null) {
+  if (ranges.length === 0) return [];
+  
+  const query = {
+    status: { $in: ['scheduled', 'in-progress'] },
+    $or: ranges.map(({ userIds, start, end }) => ({
+      participants: {
+        $elemMatch: {
+          userId: { $in: userIds },
+          status: { $ne: 'declined' }
+        }
+      },
+      scheduledDate: { $lt: end },
+      $expr: {
+        $gt: [
+          { $add: ['$scheduledDate', { $multiply: ['$duration', 60 * 1000] }] },
+          start
+        ]
+      }
+    }))
+  };
+  
+  if (excludeSessionIds) {
+    query._id = { $nin: [].concat(excludeSessionIds) };
+  }
+  
+  return this.find(query).sort({ scheduledDate: 1 });
+};
+
+// Static method to create child sessions for every occurrence of a recurring session
+sessionSchema.statics.materializeOccurrences = async function(parentSession) {
+  const { isRecurring, frequency, endDate } = parentSession.recurring || {};
+  if (!isRecurring || !endDate) return [];
+  
+  const dates = getSeriesDates(parentSession);
+  
+  if (!parentSession.recurring.occurrenceDate) {
+    parentSession.recurring.occurrenceDate = parentSession.scheduledDate;
+    await parentSession.save();
+  }
+  
+  const occurrences = dates.map(date => ({
+    title: parentSession.title,
+    subject: parentSession.subject,
+    description: parentSession.description,
+    scheduledDate: date,
+    duration: parentSession.duration,
+    location: parentSession.location,
+    sessionType: parentSession.sessionType,
+    maxParticipants: parentSession.maxParticipants,
+    participants: parentSession.participants.map(p => ({
+      userId: p.userId,
+      role: p.role,
+      status: p.status
+    })),
+    reminders: parentSession.reminders.map(r => ({
+      type: r.type,
+      timing: r.timing
+    })),
+    recurring: {
+      isRecurring: true,
+      frequency,
+      endDate,
+      parentSessionId: parentSession._id,
+      occurrenceDate: date
+    },
+    createdBy: parentSession.createdBy
+  }));
+  
+  return occurrences.length > 0 ? this.insertMany(occurrences) : [];
+};
+
+// Static method to find occurrences of a recurring series
+// scope: 'this' (just the session), 'following' (this and later) or 'series' (all)
+sessionSchema.statics.findSeriesOccurrences = async function(session, scope = 'series') {
+  if (scope === 'this' || !session.recurring || !session.recurring.isRecurring) {
+    return [session];
+  }
+  
+  const seriesId = session.recurring.parentSessionId || session._id;
+  const query = {
+    $or: [
+      { _id: seriesId },
+      { 'recurring.parentSessionId': seriesId }
+    ]
+  };
+  
+  if (scope === 'following') {
+    query.scheduledDate = { $gte: session.scheduledDate };
+  }
+  
+  return this.find(query).sort({ scheduledDate: 1 });
+};
+
 // Pre-save middleware
 sessionSchema.pre('save', function(next) {
   if (this.isModified() && !this.isNew) {
@@ -335,4 +540,16 @@ sessionSchema.pre('save', function(next) {
   next();
 });
 
+// Keep the group chat membership in line with the participants
+sessionSchema.post('save', async function(doc) {
+  const { isGroupSession, syncSessionChat } = require('../services/groupChats');
+  if (!isGroupSession(doc)) return;
+  
+  try {
+    await syncSessionChat(doc);
+  } catch (error) {
+    console.error(`Failed to sync group chat for session ${doc._id}:`, error);
+  }
+});
+
 module.exports = mongoose.model('Session', sessionSchema);
\ No newline at end of file
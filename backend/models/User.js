@@ -1,4 +1,10 @@
 const mongoose = require('mongoose');
+const { scoreCompatibility } = require('../services/compatibility');
+const { getPersonalWeights } = require('../services/matchLearning');
+const { DAYS, TIME_PATTERN, castLegacySlots, toUtcIntervals } = require('../services/availability');
+const { ROLES, hasPermission } = require('../config/roles');
+const { getAge, buildCandidatePipeline } = require('../services/candidates');
+const matchingConfig = require('../config/matching');
 
 const userSchema = new mongoose.Schema({
   auth0Id: {
@@ -35,9 +41,38 @@ const userSchema = new mongoose.Schema({
       max: 4,
       // 1: Visual, 2: Auditory, 3: Kinesthetic, 4: Reading/Writing
     },
-    availability: [{
+    availability: {
+      type: [{
+        _id: false,
+        day: {
+          type: String,
+          enum: DAYS,
+          required: true
+        },
+        startTime: {
+          type: String, // "HH:mm" in profile.timezone
+          required: true,
+          match: TIME_PATTERN
+        },
+        endTime: {
+          type: String,
+          required: true,
+          match: TIME_PATTERN
+        }
+      }],
+      // Whole-day strings from before time slots become all-day slots
+      set: castLegacySlots
+    },
+    timezone: {
       type: String,
-      enum: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday']
+      default: 'UTC'
+    },
+    // Derived from availability + timezone in the pre-save hook;
+    // minutes since Monday 00:00 UTC, used for overlap queries
+    availabilityUtc: [{
+      _id: false,
+      start: Number,
+      end: Number
     }],
     performanceLevel: {
       type: Number,
@@ -49,6 +84,12 @@ const userSchema = new mongoose.Schema({
       type: String,
       maxlength: 500
     },
+    // Used for matching preferences; shown to others only per settings.privacy
+    birthdate: Date,
+    gender: {
+      type: String,
+      enum: ['male', 'female', 'other', 'prefer-not-to-say']
+    },
     preferences: {
       maxDistance: {
         type: Number,
@@ -109,6 +150,8 @@ const userSchema = new mongoose.Schema({
     privacy: {
       showEmail: { type: Boolean, default: false },
       showLocation: { type: Boolean, default: true },
+      showAge: { type: Boolean, default: false },
+      showGender: { type: Boolean, default: false },
       profileVisibility: {
         type: String,
         enum: ['public', 'matches-only', 'private'],
@@ -116,10 +159,61 @@ const userSchema = new mongoose.Schema({
       }
     }
   },
+  // Secret for the calendar subscription feed (GET /api/sessions/calendar/:token.ics)
+  calendarToken: {
+    type: String,
+    unique: true,
+    sparse: true,
+    select: false
+  },
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'student',
+    index: true
+  },
   isActive: {
     type: Boolean,
     default: true
   },
+  // Set when a moderator or admin suspends the account (isActive: false)
+  suspension: {
+    reason: String,
+    suspendedAt: Date,
+    suspendedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  // Set while an account deletion is pending (see services/accountDeletion.js)
+  deletion: {
+    requestedAt: Date,
+    scheduledFor: Date
+  },
+  // Learned from the user's ratings, session feedback and declines
+  // (services/matchLearning.js); personalises their compatibility scores
+  matchingModel: {
+    weightMultipliers: {
+      type: Map,
+      of: Number
+    },
+    affinities: {
+      learningStyle: {
+        type: Map,
+        of: Number
+      },
+      performanceLevel: {
+        type: Map,
+        of: Number
+      }
+    },
+    sampleSize: {
+      type: Number,
+      default: 0
+    },
+    // Cleared when new feedback arrives so the training job picks the user next
+    updatedAt: Date
+  },
   lastActive: {
     type: Date,
     default: Date.now
@@ -139,15 +233,43 @@ const userSchema = new mongoose.Schema({
 // Indexes for better query performance
 userSchema.index({ 'profile.subjects': 1 });
 userSchema.index({ 'profile.learningStyle': 1 });
-userSchema.index({ 'profile.availability': 1 });
+userSchema.index({ 'profile.availability.day': 1 });
+userSchema.index({ 'profile.availabilityUtc.start': 1, 'profile.availabilityUtc.end': 1 });
 userSchema.index({ location: '2dsphere' });
 userSchema.index({ isActive: 1, lastActive: -1 });
+userSchema.index({ 'deletion.scheduledFor': 1 }, { sparse: true });
+userSchema.index({ isActive: 1, 'matchingModel.updatedAt': 1 });
 
 // Virtual for full name
 userSchema.virtual('displayName').get(function() {
   return this.name;
 });
 
+// Virtual kept for existing isAdmin checks
+userSchema.virtual('isAdmin').get(function() {
+  return this.role === 'admin';
+});
+
+// Inactive because of a moderator decision (not a pending deletion)
+userSchema.virtual('isSuspended').get(function() {
+  return !this.isActive && !!this.suspension?.suspendedAt;
+});
+
+// Hidden while a self-requested deletion is pending (see services/accountDeletion.js)
+userSchema.virtual('isPendingDeletion').get(function() {
+  return !this.isActive && !!this.deletion?.scheduledFor && !this.isSuspended;
+});
+
+// Age in whole years, or null without a birthdate
+userSchema.virtual('age').get(function() {
+  return getAge(this.profile?.birthdate);
+});
+
+// Method to check a role permission (see config/roles.js)
+userSchema.methods.hasPermission = function(permission) {
+  return hasPermission(this.role, permission);
+};
+
 // Method to update last active timestamp
 userSchema.methods.updateLastActive = function() {
   this.lastActive = new Date();
@@ -155,56 +277,76 @@ userSchema.methods.updateLastActive = function() {
 };
 
 // Method to calculate compatibility with another user
-userSchema.methods.calculateCompatibility = function(otherUser) {
-  let score = 0;
-  
-  // Subject compatibility (40% weight)
-  const commonSubjects = this.profile.subjects.filter(s1 => 
-    otherUser.profile.subjects.some(s2 => s1.toLowerCase() === s2.toLowerCase())
-  ).length;
-  score += (commonSubjects / Math.max(this.profile.subjects.length, otherUser.profile.subjects.length)) * 40;
+// Returns { score, breakdown, reasons } using the configured scoring factors,
+// weighted for this user when they have a learned matching model
+userSchema.methods.calculateCompatibility = function(otherUser, weights = getPersonalWeights(this)) {
+  return scoreCompatibility(this, otherUser, weights);
+};
+
+// Static method to find potential matches
+// Streams pre-ranked candidates (services/candidates.js) from one aggregation
+// cursor and scores them until `limit` reach minCompatibility (inclusive) or
+// maxCandidatesScanned have been scored
+// Options: minCompatibility (0-100), excludeIds (e.g. existing matches),
+// batchSize (candidates fetched per round trip)
+userSchema.statics.findPotentialMatches = async function(userId, limit = 20, options = {}) {
+  const {
+    minCompatibility = matchingConfig.minCompatibility,
+    excludeIds = [],
+    batchSize = Math.max(limit * 3, 50)
+  } = options;
   
-  // Learning style compatibility (30% weight)
-  const styleMatch = this.profile.learningStyle === otherUser.profile.learningStyle ? 30 : 
-                    (Math.abs(this.profile.learningStyle - otherUser.profile.learningStyle) <= 1 ? 15 : 0);
-  score += styleMatch;
+  const user = await this.findById(userId);
+  if (!user) throw new Error('User not found');
   
-  // Schedule overlap (20% weight)
-  const timeOverlap = this.profile.availability.filter(t1 => 
-    otherUser.profile.availability.includes(t1)
-  ).length;
-  score += (timeOverlap / 7) * 20;
+  const matchesWithScores = [];
+  const cursor = this.aggregate(buildCandidatePipeline(user, { limit: matchingConfig.maxCandidatesScanned, excludeIds }))
+    .allowDiskUse(true)
+    .cursor({ batchSize });
   
-  // Performance level similarity (10% weight)
-  const performanceDiff = Math.abs(this.profile.performanceLevel - otherUser.profile.performanceLevel);
-  score += Math.max(0, 10 - performanceDiff * 2);
+  try {
+    for await (const candidate of cursor) {
+      // Calculate compatibility scores
+      const { score, breakdown, reasons } = user.calculateCompatibility(candidate);
+      if (score >= minCompatibility) {
+        matchesWithScores.push({
+          ...candidate,
+          compatibility: score,
+          compatibilityBreakdown: breakdown,
+          reasons
+        });
+        
+        if (matchesWithScores.length >= limit) break;
+      }
+    }
+  } finally {
+    await cursor.close();
+  }
   
-  return Math.min(100, Math.round(score));
+  return matchesWithScores
+    .sort((a, b) => b.compatibility - a.compatibility)
+    .slice(0, limit);
 };
 
-// Static method to find potential matches
-userSchema.statics.findPotentialMatches = async function(userId, limit = 20) {
-  const user = await this.findById(userId);
-  if (!user) throw new Error('User not found');
+// Static method to get the profile as other users see it: birthdate and
+// gender stay private unless the user shows their age or gender
+// Works for documents and lean objects; settings.privacy must be loaded to show either
+userSchema.statics.publicProfile = function(user) {
+  const profile = typeof user.toObject === 'function' ? user.toObject().profile : user.profile;
+  if (!profile) return profile;
   
-  const potentialMatches = await this.find({
-    _id: { $ne: userId },
-    isActive: true,
-    'profile.subjects': { $in: user.profile.subjects }
-  })
-  .limit(limit * 2) // Get more to filter later
-  .lean();
+  const { birthdate, gender, ...visible } = profile;
+  const privacy = user.settings?.privacy || {};
   
-  // Calculate compatibility scores
-  const matchesWithScores = potentialMatches.map(match => ({
-    ...match,
-    compatibility: user.calculateCompatibility(match)
-  }))
-  .filter(match => match.compatibility > 50) // Only matches above 50%
-  .sort((a, b) => b.compatibility - a.compatibility)
-  .slice(0, limit);
+  if (privacy.showAge && birthdate) {
+    visible.age = getAge(birthdate);
+  }
   
-  return matchesWithScores;
+  if (privacy.showGender && gender) {
+    visible.gender = gender;
+  }
+  
+  return visible;
 };
 
 // Pre-save middleware to update the updatedAt field
@@ -215,4 +357,23 @@ userSchema.pre('save', function(next) {
   next();
 });
 
+// Profiles stored before time slots hold whole-day strings, which the setter
+// doesn't see when loading; scripts/migrateAvailability.js rewrites them
+userSchema.pre('init', function(raw) {
+  if (raw.profile?.availability) {
+    raw.profile.availability = castLegacySlots(raw.profile.availability);
+  }
+});
+
+// Keep the UTC availability intervals in sync with the local slots
+userSchema.pre('save', function(next) {
+  if (this.isModified('profile.availability') || this.isModified('profile.timezone')) {
+    this.profile.availabilityUtc = toUtcIntervals(
+      this.profile.availability || [],
+      this.profile.timezone || 'UTC'
+    );
+  }
+  next();
+});
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
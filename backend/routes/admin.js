@@ -0,0 +1,457 @@
+const express = require('express');
+const User = require('../models/User');
+const Match = require('../models/Match');
+const Session = require('../models/Session');
+const Report = require('../models/Report');
+const AuditLog = require('../models/AuditLog');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { validate, validateObjectId, schemas } = require('../middleware/validation');
+const { hasPermission, outranks } = require('../config/roles');
+
+const router = express.Router();
+
+// Every route needs a signed-in user; each one checks its own permission
+router.use(authenticate);
+
+// Suspend or reinstate a user and record who did it
+const setUserActive = async (user, isActive, reason, actorId) => {
+  // Reinstated accounts stay hidden while their deletion is pending
+  user.isActive = isActive && !user.deletion?.scheduledFor;
+  user.suspension = isActive ? undefined : {
+    reason,
+    suspendedAt: new Date(),
+    suspendedBy: actorId
+  };
+  await user.save();
+};
+
+// Get the moderation queue (oldest first)
+router.get('/reports', requirePermission('reports:read'), validate(schemas.reportQuery, 'query'), async (req, res) => {
+  try {
+    const { status, reason, reportedUser, page = 1, limit = 20 } = req.query;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+    if (status) query.status = status;
+    if (reason) query.reason = reason;
+    if (reportedUser) query.reportedUser = reportedUser;
+
+    const reports = await Report.find(query)
+      .populate('reportedBy', 'name email avatar')
+      .populate('reportedUser', 'name email avatar isActive')
+      .populate('assignedTo', 'name email')
+      .sort({ createdAt: 1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const [total, statusCounts] = await Promise.all([
+      Report.countDocuments(query),
+      Report.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }])
+    ]);
+
+    res.json({
+      reports,
+      counts: statusCounts.reduce((counts, { _id, count }) => ({ ...counts, [_id]: count }), {}),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get reports error:', error);
+    res.status(500).json({
+      error: 'Failed to get reports',
+      message: error.message
+    });
+  }
+});
+
+// Get a report with its evidence
+router.get('/reports/:id', requirePermission('reports:read'), validateObjectId, async (req, res) => {
+  try {
+    const report = await Report.findById(req.params.id)
+      .populate('reportedBy', 'name email avatar')
+      .populate('reportedUser', 'name email avatar isActive createdAt')
+      .populate('assignedTo', 'name email')
+      .populate('resolution.resolvedBy', 'name email')
+      .populate('evidence.messages')
+      .populate('evidence.sessions', 'title subject scheduledDate duration status participants');
+
+    if (!report) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    // Earlier reports help spot repeat offenders
+    const previousReports = await Report.countDocuments({
+      _id: { $ne: report._id },
+      reportedUser: report.reportedUser._id
+    });
+
+    res.json({
+      report,
+      previousReports
+    });
+
+  } catch (error) {
+    console.error('Get report error:', error);
+    res.status(500).json({
+      error: 'Failed to get report',
+      message: error.message
+    });
+  }
+});
+
+// Take a report off the queue for review
+router.post('/reports/:id/triage', requirePermission('reports:manage'), validateObjectId, async (req, res) => {
+  try {
+    const { note = '' } = req.body;
+
+    const report = await Report.findById(req.params.id);
+    if (!report) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    report.transitionTo('under-review', req.user._id, note);
+    report.assignedTo = req.user._id;
+    await report.save();
+
+    await AuditLog.record(req, 'report.triage', 'Report', report._id, { note });
+
+    res.json({
+      message: 'Report under review',
+      report
+    });
+
+  } catch (error) {
+    if (error.code === 'INVALID_TRANSITION') {
+      return res.status(409).json({ error: 'Invalid status change', message: error.message });
+    }
+    console.error('Triage report error:', error);
+    res.status(500).json({
+      error: 'Failed to triage report',
+      message: error.message
+    });
+  }
+});
+
+// Close a report as actioned or dismissed
+router.post('/reports/:id/resolve', requirePermission('reports:manage'), validateObjectId, validate(schemas.reportResolution), async (req, res) => {
+  try {
+    const { status, action = 'none', outcome = '', note = '' } = req.body;
+
+    const report = await Report.findById(req.params.id);
+    if (!report) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    // Suspending the reported user needs the same permission as suspending directly
+    let reportedUser = null;
+    if (action === 'suspended') {
+      if (!hasPermission(req.user.role, 'users:suspend')) {
+        return res.status(403).json({ error: 'Permission denied.', permission: 'users:suspend' });
+      }
+
+      reportedUser = await User.findById(report.reportedUser);
+      if (reportedUser && !outranks(req.user.role, reportedUser.role)) {
+        return res.status(403).json({ error: 'Cannot suspend a user with an equal or higher role' });
+      }
+    }
+
+    await report.resolve(status, req.user._id, { action, outcome, note });
+
+    await AuditLog.record(req, `report.${status}`, 'Report', report._id, { action: report.resolution.action, note });
+
+    if (report.resolution.action === 'suspended') {
+      if (reportedUser && reportedUser.isActive) {
+        await setUserActive(reportedUser, false, `Report ${report._id}: ${report.reason}`, req.user._id);
+        await AuditLog.record(req, 'user.suspend', 'User', reportedUser._id, { reportId: report._id });
+      }
+    }
+
+    // Let the reporter know the outcome
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`user_${report.reportedBy}`).emit('report-resolved', report.toReporterJSON());
+    }
+
+    res.json({
+      message: `Report ${status}`,
+      report
+    });
+
+  } catch (error) {
+    if (error.code === 'INVALID_TRANSITION') {
+      return res.status(409).json({ error: 'Invalid status change', message: error.message });
+    }
+    console.error('Resolve report error:', error);
+    res.status(500).json({
+      error: 'Failed to resolve report',
+      message: error.message
+    });
+  }
+});
+
+// List users
+router.get('/users', requirePermission('users:read'), validate(schemas.adminUserQuery, 'query'), async (req, res) => {
+  try {
+    const { q, role, isActive, page = 1, limit = 20 } = req.query;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+    if (q) {
+      const pattern = q.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      query.$or = [
+        { name: { $regex: pattern, $options: 'i' } },
+        { email: { $regex: pattern, $options: 'i' } }
+      ];
+    }
+    if (role) query.role = role;
+    if (isActive !== undefined) query.isActive = isActive === true || isActive === 'true';
+
+    const users = await User.find(query)
+      .select('name email avatar role isActive suspension lastActive createdAt')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await User.countDocuments(query);
+
+    res.json({
+      users,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin get users error:', error);
+    res.status(500).json({
+      error: 'Failed to get users',
+      message: error.message
+    });
+  }
+});
+
+// Suspend or reinstate a user
+router.patch('/users/:id/status', requirePermission('users:suspend'), validateObjectId, validate(schemas.userStatus), async (req, res) => {
+  try {
+    const { isActive, reason } = req.body;
+
+    if (req.params.id === req.user._id.toString()) {
+      return res.status(400).json({ error: 'Cannot change your own account status' });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (!outranks(req.user.role, user.role)) {
+      return res.status(403).json({ error: 'Cannot change the status of a user with an equal or higher role' });
+    }
+
+    await setUserActive(user, isActive, reason, req.user._id);
+    await AuditLog.record(req, isActive ? 'user.reinstate' : 'user.suspend', 'User', user._id, { reason });
+
+    res.json({
+      message: isActive ? 'User reinstated' : 'User suspended',
+      user: {
+        id: user._id,
+        name: user.name,
+        isActive: user.isActive,
+        suspension: user.suspension
+      }
+    });
+
+  } catch (error) {
+    console.error('Update user status error:', error);
+    res.status(500).json({
+      error: 'Failed to update user status',
+      message: error.message
+    });
+  }
+});
+
+// Change a user's role
+router.patch('/users/:id/role', requirePermission('users:roles'), validateObjectId, validate(schemas.userRole), async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (req.params.id === req.user._id.toString()) {
+      return res.status(400).json({ error: 'Cannot change your own role' });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (!outranks(req.user.role, user.role)) {
+      return res.status(403).json({ error: 'Cannot change the role of a user with an equal or higher role' });
+    }
+
+    if (outranks(role, req.user.role)) {
+      return res.status(403).json({ error: 'Cannot grant a role higher than your own' });
+    }
+
+    const previousRole = user.role;
+    user.role = role;
+    await user.save();
+
+    await AuditLog.record(req, 'user.role', 'User', user._id, { from: previousRole, to: role });
+
+    res.json({
+      message: 'Role updated',
+      user: {
+        id: user._id,
+        name: user.name,
+        role: user.role
+      }
+    });
+
+  } catch (error) {
+    console.error('Update user role error:', error);
+    res.status(500).json({
+      error: 'Failed to update user role',
+      message: error.message
+    });
+  }
+});
+
+// View any match
+router.get('/matches/:id', requirePermission('matches:read'), validateObjectId, async (req, res) => {
+  try {
+    const match = await Match.findById(req.params.id)
+      .populate('userId', 'name email avatar isActive')
+      .populate('matchedUserId', 'name email avatar isActive');
+
+    if (!match) {
+      return res.status(404).json({ error: 'Match not found' });
+    }
+
+    await AuditLog.record(req, 'match.view', 'Match', match._id);
+
+    res.json({ match });
+
+  } catch (error) {
+    console.error('Admin get match error:', error);
+    res.status(500).json({
+      error: 'Failed to get match',
+      message: error.message
+    });
+  }
+});
+
+// View any session
+router.get('/sessions/:id', requirePermission('sessions:read'), validateObjectId, async (req, res) => {
+  try {
+    const session = await Session.findById(req.params.id)
+      .populate('participants.userId', 'name email avatar isActive')
+      .populate('createdBy', 'name email avatar');
+
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    await AuditLog.record(req, 'session.view', 'Session', session._id);
+
+    res.json({ session });
+
+  } catch (error) {
+    console.error('Admin get session error:', error);
+    res.status(500).json({
+      error: 'Failed to get session',
+      message: error.message
+    });
+  }
+});
+
+// Force-cancel a session regardless of organizer
+router.post('/sessions/:id/cancel', requirePermission('sessions:cancel'), validateObjectId, validate(schemas.adminCancel), async (req, res) => {
+  try {
+    const { reason, scope = 'this' } = req.body;
+
+    const session = await Session.findById(req.params.id);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const occurrences = (await Session.findSeriesOccurrences(session, scope))
+      .filter(occurrence => !['completed', 'cancelled'].includes(occurrence.status));
+
+    if (occurrences.length === 0) {
+      return res.status(400).json({ error: 'Session cannot be cancelled' });
+    }
+
+    for (const occurrence of occurrences) {
+      await occurrence.cancelSession(`${reason} (cancelled by an administrator)`);
+    }
+
+    await AuditLog.record(req, 'session.cancel', 'Session', session._id, {
+      reason,
+      scope,
+      cancelledOccurrences: occurrences.map(occurrence => occurrence._id)
+    });
+
+    res.json({
+      id: session._id,
+      status: 'cancelled',
+      scope,
+      cancelledOccurrences: occurrences.length,
+      message: 'Session cancelled by administrator'
+    });
+
+  } catch (error) {
+    console.error('Admin cancel session error:', error);
+    res.status(500).json({
+      error: 'Failed to cancel session',
+      message: error.message
+    });
+  }
+});
+
+// Get the audit log (newest first)
+router.get('/audit-log', requirePermission('audit:read'), validate(schemas.auditLogQuery, 'query'), async (req, res) => {
+  try {
+    const { action, actor, targetId, page = 1, limit = 50 } = req.query;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+    if (action) query.action = action;
+    if (actor) query.actor = actor;
+    if (targetId) query.targetId = targetId;
+
+    const entries = await AuditLog.find(query)
+      .populate('actor', 'name email role')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await AuditLog.countDocuments(query);
+
+    res.json({
+      entries,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({
+      error: 'Failed to get audit log',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -2,7 +2,12 @@ const express = require('express');
 const axios = require('axios');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
-const { authenticate, optionalAuth } = require('../middleware/auth');
+const { authenticate, authenticatePendingDeletion, optionalAuth, requirePermission } = require('../middleware/auth');
+const {
+  GRACE_PERIOD_DAYS,
+  scheduleAccountDeletion,
+  cancelAccountDeletion
+} = require('../services/accountDeletion');
 
 const router = express.Router();
 
@@ -145,6 +150,8 @@ router.get('/user', authenticate, async (req, res) => {
       profile: user.profile,
       stats: user.stats,
       settings: user.settings,
+      role: user.role,
+      deletionScheduledFor: user.deletion?.scheduledFor || null,
       profileComplete: !!(user.profile && user.profile.subjects && user.profile.subjects.length > 0),
       lastActive: user.lastActive,
       createdAt: user.createdAt
@@ -267,13 +274,8 @@ router.get('/check-user/:email', optionalAuth, async (req, res) => {
 });
 
 // Get Auth0 management API token (for admin operations)
-router.post('/management-token', authenticate, async (req, res) => {
+router.post('/management-token', authenticate, requirePermission('auth:management'), async (req, res) => {
   try {
-    // Only allow admin users to get management token
-    if (!req.user.isAdmin) {
-      return res.status(403).json({ error: 'Admin access required' });
-    }
-    
     const response = await axios.post(`https://${process.env.AUTH0_DOMAIN}/oauth/token`, {
       grant_type: 'client_credentials',
       client_id: process.env.AUTH0_CLIENT_ID,
@@ -299,18 +301,31 @@ router.post('/management-token', authenticate, async (req, res) => {
   }
 });
 
-// Delete user account
+// Delete user account (after a grace period, see services/accountDeletion.js)
 router.delete('/user', authenticate, async (req, res) => {
   try {
     const user = req.user;
     
-    // Delete user from our database
-    await User.findByIdAndDelete(user._id);
+    if (user.deletion?.scheduledFor) {
+      return res.status(409).json({ 
+        error: 'Account deletion already scheduled',
+        scheduledFor: user.deletion.scheduledFor
+      });
+    }
     
-    // TODO: Clean up related data (matches, sessions, messages)
-    // You might want to implement soft delete instead
+    const scheduledFor = await scheduleAccountDeletion(user);
     
-    res.json({ message: 'User account deleted successfully' });
+    // Open sockets were authenticated before; new ones are refused until restored
+    const io = req.app.get('io');
+    if (io) {
+      io.in(`user_${user._id}`).disconnectSockets(true);
+    }
+    
+    res.json({ 
+      message: 'Account scheduled for deletion',
+      scheduledFor,
+      gracePeriodDays: GRACE_PERIOD_DAYS
+    });
     
   } catch (error) {
     console.error('Delete user error:', error);
@@ -321,4 +336,26 @@ router.delete('/user', authenticate, async (req, res) => {
   }
 });
 
+// Undo a pending account deletion
+router.post('/user/restore', authenticatePendingDeletion, async (req, res) => {
+  try {
+    const user = req.user;
+    
+    if (!user.deletion?.scheduledFor) {
+      return res.status(400).json({ error: 'No account deletion is pending' });
+    }
+    
+    await cancelAccountDeletion(user);
+    
+    res.json({ message: 'Account deletion cancelled' });
+    
+  } catch (error) {
+    console.error('Restore user error:', error);
+    res.status(500).json({ 
+      error: 'Failed to restore user account',
+      message: error.message
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -1,11 +1,58 @@
 const express = require('express');
 const User = require('../models/User');
 const Match = require('../models/Match');
+const Session = require('../models/Session');
 const { authenticate, requireProfile, userRateLimit } = require('../middleware/auth');
 const { validate, validateObjectId, schemas } = require('../middleware/validation');
+const { getUserRanges, intersectIntervals } = require('../services/availability');
+const { findAvailableSlots } = require('../services/scheduling');
+const { paginateByCursor } = require('../services/cursor');
+const { getSuggestions } = require('../services/matchSuggestions');
+const { markMatchingModelDue } = require('../services/matchTraining');
+const {
+  getNextCandidate,
+  likeCandidate,
+  skipCandidate,
+  undoLastAction
+} = require('../services/discoveryQueue');
 
 const router = express.Router();
 
+// HTTP status per discovery queue error code
+const QUEUE_ERROR_STATUS = {
+  NOT_FOUND: 404,
+  NOT_ELIGIBLE: 403,
+  UNAVAILABLE: 409,
+  ALREADY_LIKED: 409,
+  NOTHING_TO_UNDO: 409,
+  UNDO_EXPIRED: 409
+};
+
+// One queue card
+const formatCandidate = (candidate) => ({
+  user: {
+    id: candidate.user._id,
+    name: candidate.user.name,
+    avatar: candidate.user.avatar,
+    profile: User.publicProfile(candidate.user),
+    stats: candidate.user.stats,
+    lastActive: candidate.user.lastActive
+  },
+  matchId: candidate.match?._id || null,
+  compatibility: candidate.compatibility,
+  compatibilityBreakdown: candidate.compatibilityBreakdown,
+  reasons: candidate.reasons,
+  likedYou: candidate.likedYou
+});
+
+const formatQueueAction = (action) => ({
+  id: action._id,
+  type: action.type,
+  userId: action.targetUserId,
+  cooldownUntil: action.cooldownUntil,
+  createdAt: action.createdAt
+});
+
 // Apply rate limiting
 router.use(userRateLimit(100, 15 * 60 * 1000));
 
@@ -16,12 +63,12 @@ router.get('/', authenticate, requireProfile, validate(schemas.matchQuery, 'quer
       status = 'active',
       minCompatibility = 0,
       subjects,
-      page = 1,
+      before,
+      after,
       limit = 20
     } = req.query;
     
     const currentUser = req.user;
-    const skip = (page - 1) * limit;
     
     // Build query
     const query = {
@@ -45,12 +92,15 @@ router.get('/', authenticate, requireProfile, validate(schemas.matchQuery, 'quer
       }));
     }
     
-    const matches = await Match.find(query)
-      .populate('userId', 'name email avatar profile stats lastActive')
-      .populate('matchedUserId', 'name email avatar profile stats lastActive')
-      .sort({ compatibility: -1, lastInteraction: -1 })
-      .skip(skip)
-      .limit(parseInt(limit));
+    const total = await Match.countDocuments(query);
+    
+    // Best matches first; the cursor is keyed on compatibility
+    const { items: matches, hasMore, olderCursor, newerCursor } = await paginateByCursor(
+      Match.find(query)
+        .populate('userId', 'name email avatar profile stats lastActive settings.privacy')
+        .populate('matchedUserId', 'name email avatar profile stats lastActive settings.privacy'),
+      { field: 'compatibility', before, after, limit: parseInt(limit) }
+    );
     
     // Format response to show the other user
     const formattedMatches = matches.map(match => {
@@ -64,11 +114,12 @@ router.get('/', authenticate, requireProfile, validate(schemas.matchQuery, 'quer
           name: otherUser.name,
           email: otherUser.email,
           avatar: otherUser.avatar,
-          profile: otherUser.profile,
+          profile: User.publicProfile(otherUser),
           stats: otherUser.stats,
           lastActive: otherUser.lastActive
         },
         compatibility: match.compatibility,
+        reasons: match.reasons,
         status: match.status,
         matchType: match.matchType,
         mutualLike: match.mutualLike,
@@ -79,15 +130,14 @@ router.get('/', authenticate, requireProfile, validate(schemas.matchQuery, 'quer
       };
     });
     
-    const total = await Match.countDocuments(query);
-    
     res.json({
       matches: formattedMatches,
       pagination: {
-        page: parseInt(page),
         limit: parseInt(limit),
         total,
-        pages: Math.ceil(total / limit)
+        hasMore,
+        olderCursor,
+        newerCursor
       }
     });
     
@@ -101,39 +151,22 @@ router.get('/', authenticate, requireProfile, validate(schemas.matchQuery, 'quer
 });
 
 // Find new matches
-router.post('/find', authenticate, requireProfile, async (req, res) => {
+router.post('/find', authenticate, requireProfile, validate(schemas.findMatches), async (req, res) => {
   try {
     const currentUser = req.user;
-    const { limit = 20, forceRefresh = false } = req.body;
-    
-    // Find potential matches
-    const potentialMatches = await User.findPotentialMatches(currentUser._id, limit * 2);
-    
-    // Filter out existing matches if not forcing refresh
-    let filteredMatches = potentialMatches;
-    
-    if (!forceRefresh) {
-      const existingMatchIds = await Match.find({
-        $or: [
-          { userId: currentUser._id },
-          { matchedUserId: currentUser._id }
-        ]
-      }).distinct('matchedUserId userId');
-      
-      const existingIds = new Set(existingMatchIds.map(id => id.toString()));
-      existingIds.add(currentUser._id.toString());
-      
-      filteredMatches = potentialMatches.filter(match => 
-        !existingIds.has(match._id.toString())
-      );
-    }
-    
-    // Take only the requested limit
-    const newMatches = filteredMatches.slice(0, limit);
+    const { limit = 20, forceRefresh = false, minCompatibility } = req.body;
+    
+    // Precomputed suggestions without existing matches; forceRefresh scores
+    // candidates live and includes existing matches so they get re-scored
+    const { matches: newMatches, cache } = await getSuggestions(currentUser._id, {
+      limit,
+      minCompatibility,
+      forceRefresh
+    });
     
     // Create match records
     const matchPromises = newMatches.map(async (match) => {
-      return Match.createOrUpdateMatch(currentUser._id, match._id, match.compatibility);
+      return Match.createOrUpdateMatch(currentUser._id, match._id, match.compatibility, match.compatibilityBreakdown, match.reasons);
     });
     
     const createdMatches = await Promise.all(matchPromises);
@@ -142,7 +175,7 @@ router.post('/find', authenticate, requireProfile, async (req, res) => {
     const populatedMatches = await Match.find({
       _id: { $in: createdMatches.map(m => m._id) }
     })
-    .populate('matchedUserId', 'name email avatar profile stats lastActive')
+    .populate('matchedUserId', 'name email avatar profile stats lastActive settings.privacy')
     .sort({ compatibility: -1 });
     
     // Format response
@@ -153,11 +186,13 @@ router.post('/find', authenticate, requireProfile, async (req, res) => {
         name: match.matchedUserId.name,
         email: match.matchedUserId.email,
         avatar: match.matchedUserId.avatar,
-        profile: match.matchedUserId.profile,
+        profile: User.publicProfile(match.matchedUserId),
         stats: match.matchedUserId.stats,
         lastActive: match.matchedUserId.lastActive
       },
       compatibility: match.compatibility,
+      compatibilityBreakdown: match.compatibilityBreakdown,
+      reasons: match.reasons,
       status: match.status,
       matchType: match.matchType,
       createdAt: match.createdAt
@@ -166,6 +201,7 @@ router.post('/find', authenticate, requireProfile, async (req, res) => {
     res.json({
       matches: formattedMatches,
       count: formattedMatches.length,
+      cache,
       message: `Found ${formattedMatches.length} new matches`
     });
     
@@ -178,6 +214,110 @@ router.post('/find', authenticate, requireProfile, async (req, res) => {
   }
 });
 
+// Discovery queue: the next candidate to like or skip
+router.get('/queue', authenticate, requireProfile, async (req, res) => {
+  try {
+    const candidate = await getNextCandidate(req.user);
+    
+    res.json({
+      candidate: candidate ? formatCandidate(candidate) : null,
+      message: candidate ? undefined : 'No more candidates right now'
+    });
+    
+  } catch (error) {
+    console.error('Get queue error:', error);
+    res.status(500).json({ 
+      error: 'Failed to get next candidate',
+      message: error.message
+    });
+  }
+});
+
+// Undo the last like or skip
+router.post('/queue/undo', authenticate, requireProfile, async (req, res) => {
+  try {
+    const { action, candidate } = await undoLastAction(req.user);
+    
+    res.json({
+      undone: formatQueueAction(action),
+      candidate: candidate ? formatCandidate(candidate) : null,
+      message: `${action.type === 'like' ? 'Like' : 'Skip'} undone`
+    });
+    
+  } catch (error) {
+    if (QUEUE_ERROR_STATUS[error.code]) {
+      return res.status(QUEUE_ERROR_STATUS[error.code]).json({ error: error.message });
+    }
+    
+    console.error('Undo queue action error:', error);
+    res.status(500).json({ 
+      error: 'Failed to undo',
+      message: error.message
+    });
+  }
+});
+
+// Like a queue candidate; liking someone who liked you makes the match active
+router.post('/queue/:userId/like', authenticate, requireProfile, validateObjectId, async (req, res) => {
+  try {
+    const currentUser = req.user;
+    const { action, match } = await likeCandidate(currentUser, req.params.userId);
+    
+    const io = req.app.get('io');
+    if (io && match.mutualLike) {
+      io.to(`user_${req.params.userId}`).emit('mutual-match', {
+        matchId: match._id,
+        userId: currentUser._id
+      });
+    }
+    
+    res.json({
+      action: formatQueueAction(action),
+      match: {
+        id: match._id,
+        status: match.status,
+        matchType: match.matchType,
+        mutualLike: match.mutualLike
+      },
+      message: match.mutualLike ? 'It\'s a mutual match!' : 'Liked'
+    });
+    
+  } catch (error) {
+    if (QUEUE_ERROR_STATUS[error.code]) {
+      return res.status(QUEUE_ERROR_STATUS[error.code]).json({ error: error.message });
+    }
+    
+    console.error('Like candidate error:', error);
+    res.status(500).json({ 
+      error: 'Failed to like candidate',
+      message: error.message
+    });
+  }
+});
+
+// Skip a queue candidate for the skip cooldown
+router.post('/queue/:userId/skip', authenticate, requireProfile, validateObjectId, async (req, res) => {
+  try {
+    const action = await skipCandidate(req.user, req.params.userId);
+    
+    res.json({
+      action: formatQueueAction(action),
+      message: 'Skipped'
+    });
+    
+  } catch (error) {
+    if (QUEUE_ERROR_STATUS[error.code]) {
+      return res.status(QUEUE_ERROR_STATUS[error.code]).json({ error: error.message });
+    }
+    
+    console.error('Skip candidate error:', error);
+    res.status(500).json({ 
+      error: 'Failed to skip candidate',
+      message: error.message
+    });
+  }
+});
+
 // Get specific match details
 router.get('/:id', authenticate, validateObjectId, async (req, res) => {
   try {
@@ -191,8 +331,8 @@ router.get('/:id', authenticate, validateObjectId, async (req, res) => {
         { matchedUserId: currentUser._id }
       ]
     })
-    .populate('userId', 'name email avatar profile stats lastActive')
-    .populate('matchedUserId', 'name email avatar profile stats lastActive');
+    .populate('userId', 'name email avatar profile stats lastActive settings.privacy')
+    .populate('matchedUserId', 'name email avatar profile stats lastActive settings.privacy');
     
     if (!match) {
       return res.status(404).json({ error: 'Match not found' });
@@ -212,11 +352,13 @@ router.get('/:id', authenticate, validateObjectId, async (req, res) => {
         name: otherUser.name,
         email: otherUser.email,
         avatar: otherUser.avatar,
-        profile: otherUser.profile,
+        profile: User.publicProfile(otherUser),
         stats: otherUser.stats,
         lastActive: otherUser.lastActive
       },
       compatibility: match.compatibility,
+      compatibilityBreakdown: match.compatibilityBreakdown,
+      reasons: match.reasons,
       status: match.status,
       matchType: match.matchType,
       mutualLike: match.mutualLike,
@@ -238,6 +380,81 @@ router.get('/:id', authenticate, validateObjectId, async (req, res) => {
   }
 });
 
+// Suggest session start times when both users are free
+router.get('/:id/suggested-slots', authenticate, validateObjectId, validate(schemas.suggestedSlotsQuery, 'query'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { duration = 60, count = 5, from, days = 14 } = req.query;
+    const currentUser = req.user;
+    
+    const match = await Match.findOne({
+      _id: id,
+      $or: [
+        { userId: currentUser._id },
+        { matchedUserId: currentUser._id }
+      ]
+    })
+    .populate('userId', 'name profile')
+    .populate('matchedUserId', 'name profile');
+    
+    if (!match) {
+      return res.status(404).json({ error: 'Match not found' });
+    }
+    
+    if (match.status !== 'active') {
+      return res.status(400).json({ error: 'Slots can only be suggested for active matches' });
+    }
+    
+    const sessionDuration = parseInt(duration);
+    const searchStart = from ? new Date(from) : new Date();
+    const searchEnd = new Date(searchStart.getTime() + parseInt(days) * 24 * 60 * 60 * 1000);
+    
+    // Times both users are available, each converted with the offset of its
+    // own date so slots after a DST change keep their local time
+    const sharedRanges = intersectIntervals(
+      getUserRanges(match.userId, searchStart, searchEnd),
+      getUserRanges(match.matchedUserId, searchStart, searchEnd)
+    );
+    
+    // Existing bookings for either user block those times
+    const busySessions = await Session.findOverlappingSessions(
+      [match.userId._id, match.matchedUserId._id],
+      searchStart,
+      searchEnd
+    );
+    
+    const slots = findAvailableSlots({
+      ranges: sharedRanges,
+      busy: busySessions.map(session => ({
+        start: session.scheduledDate,
+        end: new Date(session.scheduledDate.getTime() + session.duration * 60 * 1000)
+      })),
+      from: searchStart,
+      until: searchEnd,
+      duration: sessionDuration,
+      count: parseInt(count)
+    });
+    
+    res.json({
+      matchId: match._id,
+      duration: sessionDuration,
+      slots,
+      count: slots.length,
+      searchWindow: {
+        from: searchStart,
+        until: searchEnd
+      }
+    });
+    
+  } catch (error) {
+    console.error('Get suggested slots error:', error);
+    res.status(500).json({ 
+      error: 'Failed to get suggested slots',
+      message: error.message
+    });
+  }
+});
+
 // Like/unlike a match
 router.post('/:id/like', authenticate, validateObjectId, async (req, res) => {
   try {
@@ -297,6 +514,7 @@ router.post('/:id/rate', authenticate, validateObjectId, validate(schemas.feedba
     
     // Add rating
     await match.addRating(currentUser._id, rating, comment);
+    await markMatchingModelDue(currentUser._id);
     
     // Update user stats
     const otherUserId = match.userId.toString() === currentUser._id.toString() 
@@ -364,6 +582,7 @@ router.post('/:id/decline', authenticate, validateObjectId, async (req, res) =>
       declinedBy: currentUser._id, 
       reason: reason || 'No reason provided'
     });
+    await markMatchingModelDue(currentUser._id);
     
     res.json({
       id: match._id,
@@ -468,6 +687,7 @@ router.delete('/:id', authenticate, validateObjectId, async (req, res) => {
     // Soft delete by changing status
     match.status = 'declined';
     await match.addInteraction('delete', { deletedBy: currentUser._id });
+    await markMatchingModelDue(currentUser._id);
     
     res.json({
       message: 'Match removed successfully'
@@ -1,184 +1,350 @@
 const express = require('express');
-const mongoose = require('mongoose');
 const Match = require('../models/Match');
+const Message = require('../models/Message');
+const Chat = require('../models/Chat');
 const User = require('../models/User');
-const { authenticate, requireProfile, userRateLimit } = require('../middleware/auth');
+const Session = require('../models/Session');
+const { authenticate, authenticateOrSignedUrl, requireProfile, userRateLimit } = require('../middleware/auth');
 const { validate, validateObjectId, schemas } = require('../middleware/validation');
+const { uploadSingle } = require('../middleware/upload');
+const { isSessionChatMember } = require('../services/groupChats');
+const { isUserOnline } = require('../services/socket');
+const { parseSearchTerms, buildSnippet } = require('../services/messageSearch');
+const { paginateByCursor } = require('../services/cursor');
+const { findScheduleConflicts } = require('../services/scheduling');
+const {
+  buildReceipts,
+  markRead,
+  reconcileUnreadCount,
+  reconcileChatUnreadCounts,
+  emitReceipts
+} = require('../services/receipts');
+const {
+  IMAGE_TYPES,
+  IMAGE_EXTENSIONS,
+  DOCUMENT_TYPES,
+  DOCUMENT_EXTENSIONS,
+  MAX_FILE_SIZE,
+  isImage,
+  storeUpload,
+  removeStoredFiles,
+  signUrl,
+  sendStoredFile
+} = require('../services/files');
 
 const router = express.Router();
 
 // Apply rate limiting
 router.use(userRateLimit(300, 15 * 60 * 1000)); // Higher limit for messaging
 
-// Message Model (inline for simplicity, could be separate file)
-const MessageSchema = new mongoose.Schema({
-  chatId: {
-    type: String,
-    required: true,
-    index: true
-  },
-  senderId: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: true,
-    index: true
-  },
-  receiverId: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: true,
-    index: true
-  },
-  message: {
-    type: String,
-    required: true,
-    maxlength: 1000
-  },
-  messageType: {
-    type: String,
-    enum: ['text', 'image', 'file', 'location', 'session-invite'],
-    default: 'text'
-  },
-  metadata: {
-    fileName: String,
-    fileSize: Number,
-    fileType: String,
-    imageUrl: String,
-    location: {
-      latitude: Number,
-      longitude: Number,
-      address: String
-    },
-    sessionId: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'Session'
-    }
-  },
-  status: {
-    type: String,
-    enum: ['sent', 'delivered', 'read'],
-    default: 'sent'
-  },
-  editedAt: Date,
-  isEdited: {
-    type: Boolean,
-    default: false
-  },
-  replyTo: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'Message'
-  },
-  createdAt: {
-    type: Date,
-    default: Date.now
+// Helper function to find or create chat
+const findOrCreateChat = async (userId1, userId2) => {
+  const pairKey = Chat.getPairKey(userId1, userId2);
+  
+  let chat = await Chat.findOne({ pairKey });
+  
+  if (!chat) {
+    chat = new Chat({
+      participants: [userId1, userId2].sort(),
+      unreadCounts: [
+        { userId: userId1, count: 0 },
+        { userId: userId2, count: 0 }
+      ]
+    });
+    
+    try {
+      await chat.save();
+    } catch (error) {
+      // Another request created the chat first (unique pairKey); use that one
+      if (error.code === 11000) {
+        return Chat.findOne({ pairKey });
+      }
+      throw error;
+    }
   }
-}, {
-  timestamps: true
-});
+  
+  return chat;
+};
+
+// Who may post in a chat: active matches in direct chats, session members in group chats
+const getMessagingAccess = async (chat, userId) => {
+  if (chat.chatType === 'group') {
+    return { canMessage: await isSessionChatMember(chat, userId) };
+  }
+  
+  const receiverId = chat.participants.find(p => p.toString() !== userId.toString());
+  const match = receiverId ? await Match.findExistingMatch(userId, receiverId) : null;
+  
+  return {
+    canMessage: !!match && match.status === 'active',
+    match,
+    receiverId
+  };
+};
 
-// Indexes for better performance
-MessageSchema.index({ chatId: 1, createdAt: -1 });
-MessageSchema.index({ senderId: 1, receiverId: 1 });
-MessageSchema.index({ status: 1, receiverId: 1 });
+// Invite responses and the participant status they set
+const INVITE_RESPONSES = {
+  accept: 'accepted',
+  decline: 'declined'
+};
 
-const Message = mongoose.model('Message', MessageSchema);
+const isSessionOpen = (session, now = new Date()) => {
+  return session.status === 'scheduled' && session.scheduledDate > now;
+};
 
-// Chat Model (inline)
-const ChatSchema = new mongoose.Schema({
-  participants: [{
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: true
-  }],
-  chatType: {
-    type: String,
-    enum: ['direct', 'group'],
-    default: 'direct'
-  },
-  lastMessage: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'Message'
-  },
-  lastActivity: {
-    type: Date,
-    default: Date.now
-  },
-  unreadCounts: [{
-    userId: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User'
-    },
-    count: {
-      type: Number,
-      default: 0
-    }
-  }],
-  isActive: {
-    type: Boolean,
-    default: true
-  },
-  createdAt: {
-    type: Date,
-    default: Date.now
+// Sessions referenced by session-invite messages, by ID
+const loadInviteSessions = async (messages) => {
+  const sessionIds = messages
+    .filter(message => message.messageType === 'session-invite' && message.metadata && message.metadata.sessionId)
+    .map(message => message.metadata.sessionId);
+  
+  if (sessionIds.length === 0) return new Map();
+  
+  const sessions = await Session.find({ _id: { $in: sessionIds } })
+    .select('title subject scheduledDate duration status participants createdBy');
+  
+  return new Map(sessions.map(session => [session._id.toString(), session]));
+};
+
+// Invite state for a session-invite message: the session, the invitee's status and the
+// responses still open to them (clients show the actions to the invitee only)
+const formatInvite = (message, sessionsById) => {
+  if (message.messageType !== 'session-invite' || !message.metadata || !message.metadata.sessionId) {
+    return undefined;
   }
-}, {
-  timestamps: true
-});
+  
+  const session = sessionsById.get(message.metadata.sessionId.toString());
+  const inviteeId = message.receiverId;
+  const participant = session && inviteeId && session.participants.find(p => 
+    p.userId.toString() === inviteeId.toString()
+  );
+  
+  let status = 'unavailable';
+  if (session) {
+    status = participant ? participant.status : 'withdrawn';
+  }
+  
+  const canRespond = participant && isSessionOpen(session) &&
+    ['invited', 'accepted', 'declined'].includes(participant.status);
+  
+  return {
+    session: session ? {
+      id: session._id,
+      title: session.title,
+      subject: session.subject,
+      scheduledDate: session.scheduledDate,
+      duration: session.duration,
+      status: session.status
+    } : null,
+    inviteeId,
+    status,
+    actions: canRespond
+      ? Object.entries(INVITE_RESPONSES)
+        .filter(([, responseStatus]) => responseStatus !== participant.status)
+        .map(([response]) => ({
+          response,
+          method: 'POST',
+          url: `/api/messages/message/${message._id}/invite`
+        }))
+      : []
+  };
+};
+
+// Add the invitee to the session as invited, as a ready-to-send error response on failure
+const inviteToSession = async (sessionId, inviterId, inviteeId) => {
+  const session = await Session.findById(sessionId);
+  if (!session) {
+    return { status: 404, error: 'Session not found' };
+  }
+  
+  const isOrganizer = session.createdBy.toString() === inviterId.toString();
+  const inviter = session.participants.find(p => p.userId.toString() === inviterId.toString());
+  if (!isOrganizer && (!inviter || inviter.status === 'declined')) {
+    return { status: 403, error: 'Only session participants can send invites' };
+  }
+  
+  if (!isSessionOpen(session)) {
+    return { status: 400, error: 'Can only invite to upcoming scheduled sessions' };
+  }
+  
+  const existing = session.participants.find(p => p.userId.toString() === inviteeId.toString());
+  if (existing && existing.status !== 'declined') {
+    return { status: 409, error: 'This user is already a participant' };
+  }
+  
+  try {
+    if (existing) {
+      // Someone who declined earlier can be invited again
+      await session.updateParticipantStatus(inviteeId, 'invited');
+    } else {
+      await session.addParticipant(inviteeId, 'participant');
+    }
+  } catch (error) {
+    if (error.message === 'Session is full') {
+      return { status: 400, error: error.message };
+    }
+    throw error;
+  }
+  
+  return { session, previousStatus: existing ? existing.status : null };
+};
 
-// Create unique chat ID for participants
-ChatSchema.index({ participants: 1 }, { unique: true });
-ChatSchema.index({ lastActivity: -1 });
+// Take back an invite whose message couldn't be stored, unless the invitee already responded
+const undoInvite = async (sessionId, inviteeId, previousStatus) => {
+  const session = await Session.findById(sessionId);
+  const participant = session && session.participants.find(p => p.userId.toString() === inviteeId.toString());
+  if (!participant || participant.status !== 'invited') return;
+  
+  if (previousStatus) {
+    participant.status = previousStatus;
+  } else {
+    session.participants.pull(participant._id);
+  }
+  await session.save();
+};
 
-const Chat = mongoose.model('Chat', ChatSchema);
+// Attachments are served from these paths; responses carry signed links to them
+const attachmentPath = (messageId, variant) => `/api/messages/message/${messageId}/${variant}`;
 
-// Helper function to generate chat ID
-const generateChatId = (userId1, userId2) => {
-  const sortedIds = [userId1, userId2].sort();
-  return `${sortedIds[0]}_${sortedIds[1]}`;
+// Message metadata for clients: storage keys are swapped for signed download URLs
+const formatMetadata = (message) => {
+  const { metadata } = message.toObject();
+  if (!metadata) return metadata;
+  
+  const { storageKey, thumbnailKey, ...formatted } = metadata;
+  if (storageKey) {
+    formatted.url = signUrl(attachmentPath(message._id, 'attachment'));
+    if (message.messageType === 'image') {
+      formatted.imageUrl = formatted.url;
+    }
+  }
+  if (thumbnailKey) {
+    formatted.thumbnailUrl = signUrl(attachmentPath(message._id, 'thumbnail'));
+  }
+  
+  return formatted;
 };
 
-// Helper function to find or create chat
-const findOrCreateChat = async (userId1, userId2) => {
-  const participants = [userId1, userId2].sort();
+// Save a new message, update the chat and push it to every member
+const postMessage = async (req, chat, { match, receiverId, ...fields }) => {
+  const currentUser = req.user;
+  const chatId = chat._id.toString();
   
-  let chat = await Chat.findOne({ participants });
+  const newMessage = new Message({
+    chatId,
+    senderId: currentUser._id,
+    receiverId,
+    receipts: buildReceipts(chat, currentUser._id),
+    ...fields
+  });
   
-  if (!chat) {
-    chat = new Chat({
-      participants,
-      unreadCounts: [
-        { userId: userId1, count: 0 },
-        { userId: userId2, count: 0 }
-      ]
+  await newMessage.save();
+  
+  // Update chat's last message and activity
+  chat.lastMessage = newMessage._id;
+  chat.lastActivity = new Date();
+  
+  // Increment unread count for every other member
+  chat.unreadCounts.forEach(uc => {
+    if (uc.userId.toString() !== currentUser._id.toString()) {
+      uc.count += 1;
+    }
+  });
+  
+  await chat.save();
+  
+  // Update match interaction
+  if (match) {
+    await match.addInteraction('message', { 
+      messageId: newMessage._id,
+      messageType: newMessage.messageType,
+      length: newMessage.message.length
     });
-    await chat.save();
   }
   
-  return chat;
+  // Populate the message for response
+  const populatedMessage = await Message.findById(newMessage._id)
+    .populate('senderId', 'name avatar');
+  
+  const formattedMessage = {
+    id: populatedMessage._id,
+    message: populatedMessage.message,
+    messageType: populatedMessage.messageType,
+    metadata: formatMetadata(populatedMessage),
+    invite: formatInvite(populatedMessage, await loadInviteSessions([populatedMessage])),
+    sender: {
+      id: populatedMessage.senderId._id,
+      name: populatedMessage.senderId.name,
+      avatar: populatedMessage.senderId.avatar
+    },
+    status: populatedMessage.status,
+    createdAt: populatedMessage.createdAt,
+    chatId
+  };
+  
+  // Emit real-time message via Socket.IO (if available)
+  // Recipients get it in their own room too, so clients can ack delivery without the chat open
+  const io = req.app.get('io');
+  if (io) {
+    const recipientRooms = newMessage.receipts.map(receipt => `user_${receipt.userId}`);
+    io.to([chatId, ...recipientRooms]).emit('new-message', formattedMessage);
+  }
+  
+  return formattedMessage;
+};
+
+// Participant check plus the messaging rules, as a ready-to-send error response
+const checkCanPost = async (chat, userId) => {
+  if (!chat) {
+    return { status: 404, error: 'Chat not found' };
+  }
+  
+  const isParticipant = chat.participants.some(p => p.toString() === userId.toString());
+  if (!isParticipant) {
+    return { status: 403, error: 'Access denied to this chat' };
+  }
+  
+  // Direct chats need an active match, group chats session membership
+  const access = await getMessagingAccess(chat, userId);
+  if (!access.canMessage) {
+    return {
+      status: 403,
+      error: chat.chatType === 'group'
+        ? 'Only session participants can message this group'
+        : 'You can only message active matches'
+    };
+  }
+  
+  return { access };
 };
 
 // Get user's chat list
-router.get('/chats', authenticate, requireProfile, async (req, res) => {
+router.get('/chats', authenticate, requireProfile, validate(schemas.cursorPagination, 'query'), async (req, res) => {
   try {
     const currentUser = req.user;
-    const { page = 1, limit = 20 } = req.query;
-    const skip = (page - 1) * limit;
+    const { before, after, limit = 20 } = req.query;
     
-    const chats = await Chat.find({
+    const total = await Chat.countDocuments({
       participants: currentUser._id,
       isActive: true
-    })
-    .populate('participants', 'name email avatar lastActive')
-    .populate('lastMessage')
-    .sort({ lastActivity: -1 })
-    .skip(skip)
-    .limit(parseInt(limit));
+    });
+    
+    // Most recently active first; "after" returns chats with activity since the cursor
+    const { items: chats, hasMore, olderCursor, newerCursor } = await paginateByCursor(
+      Chat.find({
+        participants: currentUser._id,
+        isActive: true
+      })
+      .populate('participants', 'name email avatar lastActive')
+      .populate('lastMessage'),
+      { field: 'lastActivity', before, after, limit: parseInt(limit) }
+    );
     
     const formattedChats = await Promise.all(chats.map(async (chat) => {
       // Get the other participant (for direct chats)
-      const otherParticipant = chat.participants.find(p => 
+      const otherParticipant = chat.chatType === 'direct' ? chat.participants.find(p => 
         p._id.toString() !== currentUser._id.toString()
-      );
+      ) : null;
       
       // Get unread count for current user
       const unreadCount = chat.unreadCounts.find(uc => 
@@ -195,20 +361,22 @@ router.get('/chats', authenticate, requireProfile, async (req, res) => {
       return {
         id: chat._id,
         chatType: chat.chatType,
+        name: chat.name,
+        sessionId: chat.sessionId,
         participants: chat.participants.map(p => ({
           id: p._id,
           name: p.name,
           email: p.email,
           avatar: p.avatar,
           lastActive: p.lastActive,
-          isOnline: p.lastActive && (Date.now() - new Date(p.lastActive).getTime()) < 5 * 60 * 1000 // 5 minutes
+          isOnline: isUserOnline(p._id)
         })),
         buddy: otherParticipant ? {
           id: otherParticipant._id,
           name: otherParticipant.name,
           avatar: otherParticipant.avatar,
           lastActive: otherParticipant.lastActive,
-          isOnline: otherParticipant.lastActive && (Date.now() - new Date(otherParticipant.lastActive).getTime()) < 5 * 60 * 1000
+          isOnline: isUserOnline(otherParticipant._id)
         } : null,
         lastMessage: chat.lastMessage ? {
           id: chat.lastMessage._id,
@@ -224,18 +392,14 @@ router.get('/chats', authenticate, requireProfile, async (req, res) => {
       };
     }));
     
-    const total = await Chat.countDocuments({
-      participants: currentUser._id,
-      isActive: true
-    });
-    
     res.json({
       chats: formattedChats,
       pagination: {
-        page: parseInt(page),
         limit: parseInt(limit),
         total,
-        pages: Math.ceil(total / limit)
+        hasMore,
+        olderCursor,
+        newerCursor
       }
     });
     
@@ -248,13 +412,127 @@ router.get('/chats', authenticate, requireProfile, async (req, res) => {
   }
 });
 
+// Search messages in the user's chats
+router.get('/search', authenticate, validate(schemas.messageSearchQuery, 'query'), async (req, res) => {
+  try {
+    const currentUser = req.user;
+    const { q, chatId, senderId, from, to, messageType } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const contextSize = req.query.context !== undefined ? parseInt(req.query.context) : 2;
+    const skip = (page - 1) * limit;
+    
+    // Only chats the user takes part in are searched
+    const chats = await Chat.find({ participants: currentUser._id }).select('chatType name');
+    const chatsById = new Map(chats.map(chat => [chat._id.toString(), chat]));
+    
+    if (chatId && !chatsById.has(chatId)) {
+      return res.status(403).json({ error: 'Access denied to this chat' });
+    }
+    
+    const query = {
+      $text: { $search: q },
+      chatId: chatId || { $in: Array.from(chatsById.keys()) }
+    };
+    
+    if (senderId) {
+      query.senderId = senderId;
+    }
+    
+    if (messageType) {
+      query.messageType = messageType;
+    }
+    
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+    
+    const [messages, total] = await Promise.all([
+      Message.find(query, { score: { $meta: 'textScore' } })
+        .populate('senderId', 'name avatar')
+        .sort({ score: { $meta: 'textScore' }, createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Message.countDocuments(query)
+    ]);
+    
+    const terms = parseSearchTerms(q);
+    
+    const formatContextMessage = (message) => ({
+      id: message._id,
+      message: message.message,
+      messageType: message.messageType,
+      senderId: message.senderId,
+      createdAt: message.createdAt
+    });
+    
+    const results = await Promise.all(messages.map(async (message) => {
+      const [before, after] = contextSize > 0 ? await Promise.all([
+        Message.find({ chatId: message.chatId, createdAt: { $lt: message.createdAt } })
+          .select('message messageType senderId createdAt')
+          .sort({ createdAt: -1 })
+          .limit(contextSize),
+        Message.find({ chatId: message.chatId, createdAt: { $gt: message.createdAt } })
+          .select('message messageType senderId createdAt')
+          .sort({ createdAt: 1 })
+          .limit(contextSize)
+      ]) : [[], []];
+      
+      const chat = chatsById.get(message.chatId);
+      
+      return {
+        id: message._id,
+        chat: {
+          id: chat._id,
+          chatType: chat.chatType,
+          name: chat.name
+        },
+        message: message.message,
+        snippet: buildSnippet(message.message, terms),
+        messageType: message.messageType,
+        metadata: formatMetadata(message),
+        sender: message.senderId ? {
+          id: message.senderId._id,
+          name: message.senderId.name,
+          avatar: message.senderId.avatar
+        } : null,
+        score: message.get('score'),
+        createdAt: message.createdAt,
+        context: {
+          before: before.reverse().map(formatContextMessage),
+          after: after.map(formatContextMessage)
+        }
+      };
+    }));
+    
+    res.json({
+      query: q,
+      results,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+    
+  } catch (error) {
+    console.error('Search messages error:', error);
+    res.status(500).json({ 
+      error: 'Failed to search messages',
+      message: error.message
+    });
+  }
+});
+
 // Get messages for a specific chat
-router.get('/:chatId', authenticate, validateObjectId, async (req, res) => {
+router.get('/:chatId', authenticate, validateObjectId, validate(schemas.cursorPagination, 'query'), async (req, res) => {
   try {
     const { chatId } = req.params;
     const currentUser = req.user;
-    const { page = 1, limit = 50, before } = req.query;
-    const skip = (page - 1) * limit;
+    const { before, after, limit = 50 } = req.query;
     
     // Verify user is participant in this chat
     const chat = await Chat.findById(chatId);
@@ -270,44 +548,29 @@ router.get('/:chatId', authenticate, validateObjectId, async (req, res) => {
       return res.status(403).json({ error: 'Access denied to this chat' });
     }
     
-    // Build query
-    const query = { chatId: chatId };
-    
-    // If 'before' timestamp provided, get messages before that time
-    if (before) {
-      query.createdAt = { $lt: new Date(before) };
-    }
-    
-    const messages = await Message.find(query)
-      .populate('senderId', 'name avatar')
-      .populate('replyTo')
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit));
-    
-    // Mark messages as read
-    await Message.updateMany({
-      chatId: chatId,
-      receiverId: currentUser._id,
-      status: { $ne: 'read' }
-    }, {
-      status: 'read'
-    });
+    // Opening the chat reads everything in it; marked before loading the page
+    // so the statuses and receipts returned are the updated ones
+    const readAt = new Date();
+    const readMessages = await markRead(currentUser._id, chatId, {}, readAt);
+    await reconcileUnreadCount(chatId, currentUser._id);
+    emitReceipts(req.app.get('io'), readMessages, currentUser._id, 'read', readAt);
+    
+    // "before" loads older history, "after" catches up on newer messages
+    const { items: messages, hasMore, olderCursor, newerCursor } = await paginateByCursor(
+      Message.find({ chatId: chatId })
+        .populate('senderId', 'name avatar')
+        .populate('replyTo'),
+      { field: 'createdAt', before, after, limit: parseInt(limit) }
+    );
     
-    // Update unread count in chat
-    await Chat.findByIdAndUpdate(chatId, {
-      $set: {
-        'unreadCounts.$[elem].count': 0
-      }
-    }, {
-      arrayFilters: [{ 'elem.userId': currentUser._id }]
-    });
+    const inviteSessions = await loadInviteSessions(messages);
     
     const formattedMessages = messages.reverse().map(message => ({
       id: message._id,
       message: message.message,
       messageType: message.messageType,
-      metadata: message.metadata,
+      metadata: formatMetadata(message),
+      invite: formatInvite(message, inviteSessions),
       sender: {
         id: message.senderId._id,
         name: message.senderId.name,
@@ -315,6 +578,14 @@ router.get('/:chatId', authenticate, validateObjectId, async (req, res) => {
       },
       isMine: message.senderId._id.toString() === currentUser._id.toString(),
       status: message.status,
+      // Per-recipient receipts are only shown to the sender
+      receipts: message.senderId._id.toString() === currentUser._id.toString()
+        ? message.receipts.map(receipt => ({
+          userId: receipt.userId,
+          deliveredAt: receipt.deliveredAt,
+          readAt: receipt.readAt
+        }))
+        : undefined,
       isEdited: message.isEdited,
       editedAt: message.editedAt,
       replyTo: message.replyTo ? {
@@ -330,10 +601,11 @@ router.get('/:chatId', authenticate, validateObjectId, async (req, res) => {
     res.json({
       messages: formattedMessages,
       pagination: {
-        page: parseInt(page),
         limit: parseInt(limit),
         total,
-        hasMore: skip + messages.length < total
+        hasMore,
+        olderCursor,
+        newerCursor
       }
     });
     
@@ -353,106 +625,214 @@ router.post('/:chatId', authenticate, validateObjectId, validate(schemas.message
     const { message, messageType = 'text', metadata, replyTo } = req.body;
     const currentUser = req.user;
     
-    // Verify chat exists and user is participant
+    // Verify chat exists, user is participant and may post
     const chat = await Chat.findById(chatId);
-    if (!chat) {
-      return res.status(404).json({ error: 'Chat not found' });
+    const { status, error, access } = await checkCanPost(chat, currentUser._id);
+    if (error) {
+      return res.status(status).json({ error });
     }
     
-    const isParticipant = chat.participants.some(p => 
-      p.toString() === currentUser._id.toString()
-    );
+    // Inviting the other person to a session adds them as an invited participant
+    let invite = null;
+    if (messageType === 'session-invite') {
+      if (chat.chatType !== 'direct') {
+        return res.status(400).json({ error: 'Session invites can only be sent in direct chats' });
+      }
+      
+      invite = await inviteToSession(metadata.sessionId, currentUser._id, access.receiverId);
+      if (invite.error) {
+        return res.status(invite.status).json({ error: invite.error });
+      }
+    }
     
-    if (!isParticipant) {
-      return res.status(403).json({ error: 'Access denied to this chat' });
+    let sentMessage;
+    try {
+      sentMessage = await postMessage(req, chat, {
+        match: access.match,
+        receiverId: access.receiverId,
+        message: message.trim(),
+        messageType,
+        metadata,
+        replyTo: replyTo || undefined
+      });
+    } catch (postError) {
+      // Without the message the invitee would have no way to respond
+      if (invite) {
+        await undoInvite(invite.session._id, access.receiverId, invite.previousStatus)
+          .catch(undoError => console.error('Undo session invite error:', undoError));
+      }
+      throw postError;
     }
     
-    // Get the receiver (other participant)
-    const receiverId = chat.participants.find(p => 
-      p.toString() !== currentUser._id.toString()
-    );
+    res.status(201).json(sentMessage);
     
-    // Check if users are still matched
-    const match = await Match.findExistingMatch(currentUser._id, receiverId);
-    if (!match || match.status !== 'active') {
-      return res.status(403).json({ error: 'You can only message active matches' });
+  } catch (error) {
+    console.error('Send message error:', error);
+    res.status(500).json({ 
+      error: 'Failed to send message',
+      message: error.message
+    });
+  }
+});
+
+// Send a file or image
+router.post('/:chatId/attachments', authenticate, validateObjectId, uploadSingle('file', {
+  maxSize: MAX_FILE_SIZE,
+  mimeTypes: [...IMAGE_TYPES, ...DOCUMENT_TYPES],
+  extensions: [...IMAGE_EXTENSIONS, ...DOCUMENT_EXTENSIONS]
+}), validate(schemas.attachment), async (req, res) => {
+  let stored = null;
+  
+  try {
+    const { chatId } = req.params;
+    const { caption, replyTo } = req.body;
+    const currentUser = req.user;
+    
+    const chat = await Chat.findById(chatId);
+    const { status, error, access } = await checkCanPost(chat, currentUser._id);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    
+    try {
+      stored = await storeUpload(req.file, `chats/${chatId}`);
+    } catch (uploadError) {
+      if (uploadError.code === 'INVALID_IMAGE') {
+        return res.status(400).json({ error: 'Upload failed', message: uploadError.message });
+      }
+      throw uploadError;
     }
     
-    // Create message
-    const newMessage = new Message({
-      chatId: chatId,
-      senderId: currentUser._id,
-      receiverId: receiverId,
-      message: message.trim(),
-      messageType,
-      metadata,
+    const sentMessage = await postMessage(req, chat, {
+      match: access.match,
+      receiverId: access.receiverId,
+      // The caption is the message text, falling back to the file name
+      message: (caption && caption.trim()) || stored.fileName.slice(0, 1000),
+      messageType: isImage(stored.fileType) ? 'image' : 'file',
+      metadata: stored,
       replyTo: replyTo || undefined
     });
     
-    await newMessage.save();
+    res.status(201).json(sentMessage);
     
-    // Update chat's last message and activity
-    chat.lastMessage = newMessage._id;
-    chat.lastActivity = new Date();
+  } catch (error) {
+    if (stored) {
+      removeStoredFiles(stored.storageKey, stored.thumbnailKey)
+        .catch(cleanupError => console.error('Attachment cleanup error:', cleanupError));
+    }
     
-    // Increment unread count for receiver
-    const receiverUnread = chat.unreadCounts.find(uc => 
-      uc.userId.toString() === receiverId.toString()
-    );
-    if (receiverUnread) {
-      receiverUnread.count += 1;
+    console.error('Send attachment error:', error);
+    res.status(500).json({ 
+      error: 'Failed to send attachment',
+      message: error.message
+    });
+  }
+});
+
+// Download an attachment or its thumbnail
+router.get('/message/:messageId/:variant(attachment|thumbnail)', validateObjectId, authenticateOrSignedUrl, async (req, res) => {
+  try {
+    const { messageId, variant } = req.params;
+    
+    const message = await Message.findById(messageId);
+    const metadata = message && message.metadata;
+    const key = metadata && (variant === 'thumbnail' ? metadata.thumbnailKey : metadata.storageKey);
+    if (!key) {
+      return res.status(404).json({ error: 'Attachment not found' });
     }
     
-    await chat.save();
+    // Without a signed link the user must be in the chat
+    if (req.user) {
+      const isParticipant = await Chat.exists({ _id: message.chatId, participants: req.user._id });
+      if (!isParticipant) {
+        return res.status(403).json({ error: 'Access denied to this chat' });
+      }
+    }
     
-    // Update match interaction
-    await match.addInteraction('message', { 
-      messageId: newMessage._id,
-      messageType,
-      length: message.length
+    sendStoredFile(res, key, variant === 'thumbnail'
+      ? { fileName: 'thumbnail.webp' }
+      : { fileName: metadata.fileName });
+    
+  } catch (error) {
+    console.error('Download attachment error:', error);
+    res.status(500).json({ 
+      error: 'Failed to download attachment',
+      message: error.message
     });
+  }
+});
+
+// Accept or decline a session invite
+router.post('/message/:messageId/invite', authenticate, validateObjectId, validate(schemas.inviteResponse), async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const { response, allowConflict } = req.body;
+    const currentUser = req.user;
+    
+    const message = await Message.findById(messageId);
+    if (!message || message.messageType !== 'session-invite') {
+      return res.status(404).json({ error: 'Invite not found' });
+    }
+    
+    if (!message.receiverId || message.receiverId.toString() !== currentUser._id.toString()) {
+      return res.status(403).json({ error: 'Only the invited user can respond' });
+    }
+    
+    const session = await Session.findById(message.metadata.sessionId);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    
+    if (!isSessionOpen(session)) {
+      return res.status(400).json({ error: 'This session is no longer open' });
+    }
     
-    // Populate the message for response
-    const populatedMessage = await Message.findById(newMessage._id)
-      .populate('senderId', 'name avatar');
+    // Same conflict check as joining a session
+    if (response === 'accept' && !allowConflict) {
+      const conflicts = await findScheduleConflicts(
+        [currentUser._id],
+        session.scheduledDate,
+        session.duration,
+        session._id
+      );
+      
+      if (conflicts.length > 0) {
+        return res.status(409).json({
+          error: 'Schedule conflict',
+          message: 'You already have a session at this time. Set allowConflict to true to accept anyway.',
+          conflicts
+        });
+      }
+    }
     
-    // Emit real-time message via Socket.IO (if available)
+    // Same rules as PATCH /api/sessions/:id/participants/:participantId
+    await session.changeParticipantStatus(currentUser._id, currentUser._id, INVITE_RESPONSES[response]);
+    
+    const invite = formatInvite(message, new Map([[session._id.toString(), session]]));
+    
+    // Update the invite for everyone in the chat
     const io = req.app.get('io');
     if (io) {
-      io.to(chatId).emit('new-message', {
-        id: populatedMessage._id,
-        message: populatedMessage.message,
-        messageType: populatedMessage.messageType,
-        metadata: populatedMessage.metadata,
-        sender: {
-          id: populatedMessage.senderId._id,
-          name: populatedMessage.senderId.name,
-          avatar: populatedMessage.senderId.avatar
-        },
-        chatId: chatId,
-        createdAt: populatedMessage.createdAt
+      io.to([message.chatId, `user_${message.senderId}`]).emit('session-invite-updated', {
+        messageId: message._id,
+        chatId: message.chatId,
+        invite
       });
     }
     
-    res.status(201).json({
-      id: populatedMessage._id,
-      message: populatedMessage.message,
-      messageType: populatedMessage.messageType,
-      metadata: populatedMessage.metadata,
-      sender: {
-        id: populatedMessage.senderId._id,
-        name: populatedMessage.senderId.name,
-        avatar: populatedMessage.senderId.avatar
-      },
-      status: populatedMessage.status,
-      createdAt: populatedMessage.createdAt,
-      chatId: chatId
+    res.json({
+      invite,
+      message: response === 'accept' ? 'Invite accepted' : 'Invite declined'
     });
     
   } catch (error) {
-    console.error('Send message error:', error);
+    if (error.message === 'Participant not found') {
+      return res.status(409).json({ error: 'You are no longer invited to this session' });
+    }
+    
+    console.error('Respond to invite error:', error);
     res.status(500).json({ 
-      error: 'Failed to send message',
+      error: 'Failed to respond to invite',
       message: error.message
     });
   }
@@ -590,9 +970,14 @@ router.delete('/message/:messageId', authenticate, validateObjectId, async (req,
       return res.status(403).json({ error: 'Can only delete your own messages' });
     }
     
-    // Delete the message
+    // Delete the message and any attached file
     await Message.findByIdAndDelete(messageId);
     
+    if (message.metadata && message.metadata.storageKey) {
+      removeStoredFiles(message.metadata.storageKey, message.metadata.thumbnailKey)
+        .catch(error => console.error('Attachment cleanup error:', error));
+    }
+    
     // Update chat's last message if this was the last message
     const chat = await Chat.findById(message.chatId);
     if (chat && chat.lastMessage && chat.lastMessage.toString() === messageId) {
@@ -603,6 +988,11 @@ router.delete('/message/:messageId', authenticate, validateObjectId, async (req,
       await chat.save();
     }
     
+    // The deleted message may have been unread for someone
+    if (chat) {
+      await reconcileChatUnreadCounts(chat);
+    }
+    
     // Emit real-time update
     const io = req.app.get('io');
     if (io) {
@@ -645,26 +1035,20 @@ router.patch('/:chatId/read', authenticate, validateObjectId, async (req, res) =
       return res.status(403).json({ error: 'Access denied to this chat' });
     }
     
-    // Mark messages as read
-    const result = await Message.updateMany({
-      chatId: chatId,
-      receiverId: currentUser._id,
-      status: { $ne: 'read' }
-    }, {
-      status: 'read'
-    });
+    // Optionally only up to a point, e.g. the last message on screen
+    const { upTo } = req.body;
+    if (upTo && Number.isNaN(new Date(upTo).getTime())) {
+      return res.status(400).json({ error: 'upTo must be a valid date' });
+    }
     
-    // Update unread count
-    await Chat.findByIdAndUpdate(chatId, {
-      $set: {
-        'unreadCounts.$[elem].count': 0
-      }
-    }, {
-      arrayFilters: [{ 'elem.userId': currentUser._id }]
-    });
+    const readAt = new Date();
+    const readMessages = await markRead(currentUser._id, chatId, { upTo }, readAt);
+    const unreadCount = await reconcileUnreadCount(chatId, currentUser._id);
+    emitReceipts(req.app.get('io'), readMessages, currentUser._id, 'read', readAt);
     
     res.json({
-      messagesMarkedAsRead: result.modifiedCount,
+      messagesMarkedAsRead: readMessages.length,
+      unreadCount,
       message: 'Messages marked as read'
     });
     
@@ -690,12 +1074,15 @@ router.get('/stats/summary', authenticate, async (req, res) => {
       Message.countDocuments({
         $or: [
           { senderId: currentUser._id },
-          { receiverId: currentUser._id }
+          { receiverId: currentUser._id },
+          { 'receipts.userId': currentUser._id }
         ]
       }),
       Message.countDocuments({
-        receiverId: currentUser._id,
-        status: { $ne: 'read' }
+        $or: [
+          { receipts: { $elemMatch: { userId: currentUser._id, readAt: null } } },
+          { receiverId: currentUser._id, 'receipts.0': { $exists: false }, status: { $ne: 'read' } }
+        ]
       })
     ]);
     
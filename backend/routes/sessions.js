@@ -1,15 +1,125 @@
 const express = require('express');
+const crypto = require('crypto');
 const Session = require('../models/Session');
 const User = require('../models/User');
 const Match = require('../models/Match');
-const { authenticate, requireProfile, userRateLimit, checkResourceAccess } = require('../middleware/auth');
+const Chat = require('../models/Chat');
+const {
+  authenticate,
+  authenticateOrSignedUrl,
+  requireProfile,
+  userRateLimit,
+  checkResourceAccess
+} = require('../middleware/auth');
 const { validate, validateObjectId, schemas } = require('../middleware/validation');
+const { uploadSingle } = require('../middleware/upload');
+const { getSeriesDates } = require('../services/recurrence');
+const { buildSessionCalendar, buildFeedCalendar } = require('../services/icalendar');
+const { isGroupSession, syncSessionChat } = require('../services/groupChats');
+const { paginateByCursor } = require('../services/cursor');
+const { findRangeConflicts, findScheduleConflicts } = require('../services/scheduling');
+const {
+  IMAGE_TYPES,
+  IMAGE_EXTENSIONS,
+  DOCUMENT_TYPES,
+  DOCUMENT_EXTENSIONS,
+  MAX_FILE_SIZE,
+  storeUpload,
+  removeStoredFiles,
+  signUrl,
+  sendStoredFile
+} = require('../services/files');
+const { markMatchingModelDue } = require('../services/matchTraining');
 
 const router = express.Router();
 
 // Apply rate limiting
 router.use(userRateLimit(200, 15 * 60 * 1000));
 
+// Reminders added when the organizer doesn't specify any (timing in minutes)
+const DEFAULT_REMINDERS = [
+  { type: 'email', timing: 60 },
+  { type: 'push', timing: 15 }
+];
+
+// Edit/cancel scopes for recurring sessions
+const RECURRENCE_SCOPES = ['this', 'following', 'series'];
+
+// Most materials a single session can hold
+const MAX_MATERIALS = 50;
+
+// Helper function to build a material's download path (signed before it is handed out)
+const materialPath = (sessionId, materialId, variant = 'download') => {
+  return `/api/sessions/${sessionId}/materials/${materialId}/${variant}`;
+};
+
+// Helper function to format a material; uploader may be populated or just an ID
+const formatMaterial = (sessionId, material, uploader = material.uploadedBy) => ({
+  id: material._id,
+  name: material.name,
+  type: material.type,
+  url: material.storageKey ? signUrl(materialPath(sessionId, material._id)) : material.url,
+  thumbnailUrl: material.thumbnailKey ? signUrl(materialPath(sessionId, material._id, 'thumbnail')) : undefined,
+  content: material.content,
+  fileName: material.fileName,
+  fileSize: material.fileSize,
+  fileType: material.fileType,
+  isShared: !!material.isShared,
+  uploadedBy: uploader ? {
+    id: uploader._id,
+    name: uploader.name,
+    avatar: uploader.avatar
+  } : null,
+  uploadedAt: material.uploadedAt,
+  updatedAt: material.updatedAt
+});
+
+// Helper function to check who may edit or remove a material: its uploader or the organizer
+const canManageMaterial = (session, material, userId) => {
+  const uploaderId = material.uploadedBy && (material.uploadedBy._id || material.uploadedBy);
+  return [uploaderId, session.createdBy._id || session.createdBy]
+    .some(id => id && id.toString() === userId.toString());
+};
+
+// Helper function to check whether a user may see and add session materials:
+// the organizer and participants who accepted or attended
+const canAccessMaterials = (session, userId) => {
+  const organizerId = session.createdBy._id || session.createdBy;
+  if (organizerId.toString() === userId.toString()) return true;
+  
+  return session.participants.some(p => 
+    (p.userId._id || p.userId).toString() === userId.toString() &&
+    ['accepted', 'attended'].includes(p.status)
+  );
+};
+
+// Material routes run after checkResourceAccess('session'), which lets in invitees too
+const requireMaterialAccess = (req, res, next) => {
+  if (!canAccessMaterials(req.resource, req.user._id)) {
+    return res.status(403).json({ error: 'Only the organizer and participants who accepted can access materials' });
+  }
+  next();
+};
+
+// Helper function to check whether a material is in the subject library
+const isLibraryMaterial = (session, material, now = new Date()) => {
+  return material.isShared && session.status !== 'cancelled' && session.scheduledDate < now;
+};
+
+// Helper function to build the calendar subscription URL for a token
+const buildCalendarFeedUrl = (req, token) => {
+  return `${req.protocol}://${req.get('host')}${req.baseUrl}/calendar/${token}.ics`;
+};
+
+// Helper function to send the 409 conflict response
+const sendConflictResponse = (res, conflicts) => {
+  return res.status(409).json({
+    error: 'Schedule conflict',
+    message: 'One or more participants already have a session at this time. Set allowConflict to true to proceed anyway.',
+    conflicts
+  });
+};
+
 // Get user's sessions
 router.get('/', authenticate, requireProfile, validate(schemas.sessionQuery, 'query'), async (req, res) => {
   try {
@@ -19,12 +129,12 @@ router.get('/', authenticate, requireProfile, validate(schemas.sessionQuery, 'qu
       endDate,
       subject,
       type,
-      page = 1,
+      before,
+      after,
       limit = 20
     } = req.query;
     
     const currentUser = req.user;
-    const skip = (page - 1) * limit;
     
     // Build query
     const query = {
@@ -53,16 +163,17 @@ router.get('/', authenticate, requireProfile, validate(schemas.sessionQuery, 'qu
       query.sessionType = type;
     }
     
-    const sessions = await Session.find(query)
-      .populate('participants.userId', 'name email avatar profile')
-      .populate('createdBy', 'name email avatar')
-      .populate('feedback.userId', 'name avatar')
-      .sort({ scheduledDate: -1 })
-      .skip(skip)
-      .limit(parseInt(limit));
-    
     const total = await Session.countDocuments(query);
     
+    // Latest scheduled first; the cursor is keyed on scheduledDate
+    const { items: sessions, hasMore, olderCursor, newerCursor } = await paginateByCursor(
+      Session.find(query)
+        .populate('participants.userId', 'name email avatar profile')
+        .populate('createdBy', 'name email avatar')
+        .populate('feedback.userId', 'name avatar'),
+      { field: 'scheduledDate', before, after, limit: parseInt(limit) }
+    );
+    
     // Format sessions for response
     const formattedSessions = sessions.map(session => {
       const userParticipant = session.participants.find(p => 
@@ -104,7 +215,7 @@ router.get('/', authenticate, requireProfile, validate(schemas.sessionQuery, 'qu
           avatar: session.createdBy.avatar
         },
         isOrganizer: session.createdBy._id.toString() === currentUser._id.toString(),
-        materials: session.materials,
+        materials: session.materials.map(m => formatMaterial(session._id, m)),
         averageRating: session.averageRating,
         feedbackCount: session.feedback.length,
         recurring: session.recurring,
@@ -116,10 +227,11 @@ router.get('/', authenticate, requireProfile, validate(schemas.sessionQuery, 'qu
     res.json({
       sessions: formattedSessions,
       pagination: {
-        page: parseInt(page),
         limit: parseInt(limit),
         total,
-        pages: Math.ceil(total / limit)
+        hasMore,
+        olderCursor,
+        newerCursor
       }
     });
     
@@ -149,6 +261,7 @@ router.post('/', authenticate, requireProfile, validate(schemas.session), async
       sessionType: sessionData.sessionType || 'one-on-one',
       maxParticipants: sessionData.maxParticipants || 2,
       recurring: sessionData.recurring,
+      reminders: sessionData.reminders || DEFAULT_REMINDERS,
       createdBy: currentUser._id,
       participants: [{
         userId: currentUser._id,
@@ -184,8 +297,28 @@ router.post('/', authenticate, requireProfile, validate(schemas.session), async
       }
     }
     
+    // Check organizer and every invitee for overlapping sessions, across all occurrences
+    if (!sessionData.allowConflict) {
+      // Only the occurrences materializeOccurrences will actually create
+      const occurrenceDates = [session.scheduledDate, ...getSeriesDates(session)];
+      
+      const participantIds = session.participants.map(p => p.userId);
+      const conflicts = await findRangeConflicts(occurrenceDates.map(occurrenceDate => ({
+        userIds: participantIds,
+        scheduledDate: occurrenceDate,
+        duration: session.duration
+      })));
+      
+      if (conflicts.length > 0) {
+        return sendConflictResponse(res, conflicts);
+      }
+    }
+    
     await session.save();
     
+    // Generate the individual occurrences of a recurring session
+    const occurrences = await Session.materializeOccurrences(session);
+    
     // Populate the created session
     const populatedSession = await Session.findById(session._id)
       .populate('participants.userId', 'name email avatar')
@@ -220,6 +353,8 @@ router.post('/', authenticate, requireProfile, validate(schemas.session), async
         name: populatedSession.createdBy.name,
         avatar: populatedSession.createdBy.avatar
       },
+      recurring: populatedSession.recurring,
+      occurrenceCount: occurrences.length,
       createdAt: populatedSession.createdAt,
       message: 'Session created successfully'
     });
@@ -233,6 +368,158 @@ router.post('/', authenticate, requireProfile, validate(schemas.session), async
   }
 });
 
+// Get (or create) the user's calendar subscription URL
+router.get('/calendar/subscription', authenticate, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+calendarToken');
+    
+    if (!user.calendarToken) {
+      user.calendarToken = crypto.randomBytes(24).toString('hex');
+      await user.save();
+    }
+    
+    const url = buildCalendarFeedUrl(req, user.calendarToken);
+    
+    res.json({
+      url,
+      webcalUrl: url.replace(/^https?:/, 'webcal:')
+    });
+    
+  } catch (error) {
+    console.error('Get calendar subscription error:', error);
+    res.status(500).json({ 
+      error: 'Failed to get calendar subscription',
+      message: error.message
+    });
+  }
+});
+
+// Rotate the calendar token, invalidating the previous feed URL
+router.post('/calendar/subscription', authenticate, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+calendarToken');
+    user.calendarToken = crypto.randomBytes(24).toString('hex');
+    await user.save();
+    
+    const url = buildCalendarFeedUrl(req, user.calendarToken);
+    
+    res.json({
+      url,
+      webcalUrl: url.replace(/^https?:/, 'webcal:'),
+      message: 'Calendar subscription URL regenerated'
+    });
+    
+  } catch (error) {
+    console.error('Rotate calendar subscription error:', error);
+    res.status(500).json({ 
+      error: 'Failed to regenerate calendar subscription',
+      message: error.message
+    });
+  }
+});
+
+// Calendar subscription feed (authenticated by the secret token in the URL)
+router.get('/calendar/:token.ics', async (req, res) => {
+  try {
+    const { token } = req.params;
+    
+    if (!/^[0-9a-f]{48}$/.test(token)) {
+      return res.status(404).json({ error: 'Calendar not found' });
+    }
+    
+    const user = await User.findOne({ calendarToken: token, isActive: true });
+    if (!user) {
+      return res.status(404).json({ error: 'Calendar not found' });
+    }
+    
+    const sessions = await Session.find({ 'participants.userId': user._id })
+      .populate('participants.userId', 'name email settings')
+      .populate('createdBy', 'name email settings')
+      .sort({ scheduledDate: -1 })
+      .limit(2000);
+    
+    const calendar = buildFeedCalendar(sessions, {
+      name: `StudyBuddy - ${user.name}`,
+      viewerId: user._id
+    });
+    
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': 'inline; filename="studybuddy.ics"',
+      'Cache-Control': 'private, max-age=300'
+    });
+    res.send(calendar);
+    
+  } catch (error) {
+    console.error('Calendar feed error:', error);
+    res.status(500).json({ 
+      error: 'Failed to build calendar feed',
+      message: error.message
+    });
+  }
+});
+
+// Shared materials from past sessions in a subject
+router.get('/library', authenticate, requireProfile, validate(schemas.materialLibraryQuery, 'query'), async (req, res) => {
+  try {
+    const { subject, type } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    
+    const { materials, total } = await Session.findSharedMaterials(subject, { type, page, limit });
+    
+    res.json({
+      subject,
+      materials: materials.map(({ material, uploader, session }) => ({
+        ...formatMaterial(session._id, material, uploader),
+        session: {
+          id: session._id,
+          title: session.title,
+          subject: session.subject,
+          scheduledDate: session.scheduledDate
+        }
+      })),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+    
+  } catch (error) {
+    console.error('Get material library error:', error);
+    res.status(500).json({ 
+      error: 'Failed to get material library',
+      message: error.message
+    });
+  }
+});
+
+// Download a single session as an .ics file
+router.get('/:id/ics', authenticate, validateObjectId, checkResourceAccess('session'), async (req, res) => {
+  try {
+    const session = await Session.findById(req.resource._id)
+      .populate('participants.userId', 'name email settings')
+      .populate('createdBy', 'name email settings');
+    
+    const calendar = buildSessionCalendar(session, req.user._id);
+    
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': `attachment; filename="session-${session._id}.ics"`
+    });
+    res.send(calendar);
+    
+  } catch (error) {
+    console.error('Export session error:', error);
+    res.status(500).json({ 
+      error: 'Failed to export session',
+      message: error.message
+    });
+  }
+});
+
 // Get specific session
 router.get('/:id', authenticate, validateObjectId, checkResourceAccess('session'), async (req, res) => {
   try {
@@ -240,7 +527,7 @@ router.get('/:id', authenticate, validateObjectId, checkResourceAccess('session'
     const currentUser = req.user;
     
     const populatedSession = await Session.findById(session._id)
-      .populate('participants.userId', 'name email avatar profile stats')
+      .populate('participants.userId', 'name email avatar profile stats settings.privacy')
       .populate('createdBy', 'name email avatar')
       .populate('feedback.userId', 'name avatar')
       .populate('materials.uploadedBy', 'name avatar');
@@ -249,6 +536,11 @@ router.get('/:id', authenticate, validateObjectId, checkResourceAccess('session'
       p.userId._id.toString() === currentUser._id.toString()
     );
     
+    // Group sessions have a chat shared by the whole series
+    const groupChat = isGroupSession(populatedSession)
+      ? await Chat.findOne({ sessionId: populatedSession.recurring?.parentSessionId || populatedSession._id }).select('_id')
+      : null;
+    
     res.json({
       id: populatedSession._id,
       title: populatedSession.title,
@@ -270,7 +562,7 @@ router.get('/:id', authenticate, validateObjectId, checkResourceAccess('session'
           name: p.userId.name,
           email: p.userId.email,
           avatar: p.userId.avatar,
-          profile: p.userId.profile,
+          profile: User.publicProfile(p.userId),
           stats: p.userId.stats
         },
         role: p.role,
@@ -286,19 +578,11 @@ router.get('/:id', authenticate, validateObjectId, checkResourceAccess('session'
         avatar: populatedSession.createdBy.avatar
       },
       isOrganizer: populatedSession.createdBy._id.toString() === currentUser._id.toString(),
+      chatId: groupChat ? groupChat._id : null,
       notes: populatedSession.notes,
-      materials: populatedSession.materials.map(m => ({
-        name: m.name,
-        type: m.type,
-        url: m.url,
-        content: m.content,
-        uploadedBy: {
-          id: m.uploadedBy._id,
-          name: m.uploadedBy.name,
-          avatar: m.uploadedBy.avatar
-        },
-        uploadedAt: m.uploadedAt
-      })),
+      materials: canAccessMaterials(populatedSession, currentUser._id)
+        ? populatedSession.materials.map(m => formatMaterial(populatedSession._id, m))
+        : [],
       feedback: populatedSession.feedback.map(f => ({
         user: {
           id: f.userId._id,
@@ -327,7 +611,7 @@ router.get('/:id', authenticate, validateObjectId, checkResourceAccess('session'
 });
 
 // Update session
-router.patch('/:id', authenticate, validateObjectId, checkResourceAccess('session'), async (req, res) => {
+router.patch('/:id', authenticate, validateObjectId, checkResourceAccess('session'), validate(schemas.sessionUpdate), async (req, res) => {
   try {
     const session = req.resource;
     const currentUser = req.user;
@@ -343,19 +627,76 @@ router.patch('/:id', authenticate, validateObjectId, checkResourceAccess('sessio
       return res.status(400).json({ error: 'Cannot update completed or cancelled session' });
     }
     
-    // Update allowed fields
-    const allowedUpdates = ['title', 'subject', 'description', 'scheduledDate', 'duration', 'location', 'maxParticipants'];
+    // For recurring sessions, apply the edit to this occurrence, this and following, or the whole series
+    const scope = updates.scope || 'this';
+    
+    const occurrences = (await Session.findSeriesOccurrences(session, scope))
+      .filter(occurrence => !['completed', 'cancelled'].includes(occurrence.status));
+    
+    // A new date moves every selected occurrence by the same amount
+    const dateShift = updates.scheduledDate !== undefined
+      ? new Date(updates.scheduledDate).getTime() - session.scheduledDate.getTime()
+      : 0;
+    
+    // Rescheduling must not double-book any active participant
+    if ((updates.scheduledDate !== undefined || updates.duration !== undefined) && !updates.allowConflict) {
+      // One query for every occurrence of the series
+      const conflicts = await findRangeConflicts(occurrences.map(occurrence => ({
+        userIds: occurrence.participants.filter(p => p.status !== 'declined').map(p => p.userId),
+        scheduledDate: new Date(occurrence.scheduledDate.getTime() + dateShift),
+        duration: updates.duration !== undefined ? updates.duration : occurrence.duration
+      })), occurrences.map(occurrence => occurrence._id));
+      
+      if (conflicts.length > 0) {
+        return sendConflictResponse(res, conflicts);
+      }
+    }
+    
+    // Update allowed fields with one write for every occurrence
+    const allowedUpdates = ['title', 'subject', 'description', 'duration', 'location', 'maxParticipants'];
+    const fieldUpdates = {};
     allowedUpdates.forEach(field => {
       if (updates[field] !== undefined) {
-        if (field === 'scheduledDate') {
-          session[field] = new Date(updates[field]);
-        } else {
-          session[field] = updates[field];
+        fieldUpdates[field] = updates[field];
+      }
+    });
+    
+    const now = new Date();
+    const operations = occurrences.map(occurrence => {
+      const $set = { ...fieldUpdates, updatedAt: now };
+      const update = { $set };
+      
+      if (updates.scheduledDate !== undefined) {
+        $set.scheduledDate = new Date(occurrence.scheduledDate.getTime() + dateShift);
+        // Reminders should fire again relative to the new time
+        if (occurrence.reminders.length > 0) {
+          $set['reminders.$[].sent'] = false;
+          update.$unset = { 'reminders.$[].sentAt': 1 };
+        }
+        // Moving the whole series moves the recurrence slots with it
+        if (scope === 'series' && occurrence.recurring && occurrence.recurring.occurrenceDate) {
+          $set['recurring.occurrenceDate'] = new Date(occurrence.recurring.occurrenceDate.getTime() + dateShift);
+          if (occurrence.recurring.endDate) {
+            $set['recurring.endDate'] = new Date(occurrence.recurring.endDate.getTime() + dateShift);
+          }
         }
       }
+      
+      return { updateOne: { filter: { _id: occurrence._id }, update } };
     });
     
-    await session.save();
+    if (operations.length > 0) {
+      await Session.bulkWrite(operations);
+    }
+    
+    // bulkWrite skips the save hook, so sync the series' group chat once here
+    if (isGroupSession(session)) {
+      try {
+        await syncSessionChat(session);
+      } catch (error) {
+        console.error(`Failed to sync group chat for session ${session._id}:`, error);
+      }
+    }
     
     const populatedSession = await Session.findById(session._id)
       .populate('participants.userId', 'name email avatar')
@@ -378,6 +719,8 @@ router.patch('/:id', authenticate, validateObjectId, checkResourceAccess('sessio
         status: p.status
       })),
       updatedAt: populatedSession.updatedAt,
+      scope,
+      updatedOccurrences: occurrences.length,
       message: 'Session updated successfully'
     });
     
@@ -415,6 +758,20 @@ router.post('/:id/join', authenticate, validateObjectId, async (req, res) => {
       return res.status(400).json({ error: 'You are already a participant' });
     }
     
+    // Check the joining user's schedule
+    if (!req.body.allowConflict) {
+      const conflicts = await findScheduleConflicts(
+        [currentUser._id],
+        session.scheduledDate,
+        session.duration,
+        session._id
+      );
+      
+      if (conflicts.length > 0) {
+        return sendConflictResponse(res, conflicts);
+      }
+    }
+    
     // Add user as participant
     await session.addParticipant(currentUser._id, 'participant');
     
@@ -494,22 +851,8 @@ router.patch('/:id/participants/:participantId', authenticate, validateObjectId,
     const session = req.resource;
     const currentUser = req.user;
     
-    // Validate status
-    const validStatuses = ['invited', 'accepted', 'declined', 'attended', 'no-show'];
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({ error: 'Invalid status' });
-    }
-    
-    // Check if user can update this participant's status
-    const isOrganizer = session.createdBy.toString() === currentUser._id.toString();
-    const isSelf = participantId === currentUser._id.toString();
-    
-    if (!isOrganizer && !isSelf) {
-      return res.status(403).json({ error: 'Cannot update other participants status' });
-    }
-    
-    // Update participant status
-    await session.updateParticipantStatus(participantId, status);
+    // Organizers may update anyone, everybody else only themselves
+    await session.changeParticipantStatus(currentUser._id, participantId, status);
     
     res.json({
       message: 'Participant status updated successfully',
@@ -517,12 +860,20 @@ router.patch('/:id/participants/:participantId', authenticate, validateObjectId,
     });
     
   } catch (error) {
-    console.error('Update participant status error:', error);
+    if (error.code === 'INVALID_STATUS') {
+      return res.status(400).json({ error: error.message });
+    }
+    
+    if (error.code === 'FORBIDDEN') {
+      return res.status(403).json({ error: error.message });
+    }
     
     if (error.message === 'Participant not found') {
       return res.status(404).json({ error: error.message });
     }
     
+    console.error('Update participant status error:', error);
+    
     res.status(500).json({ 
       error: 'Failed to update participant status',
       message: error.message
@@ -615,7 +966,7 @@ router.post('/:id/cancel', authenticate, validateObjectId, checkResourceAccess('
   try {
     const session = req.resource;
     const currentUser = req.user;
-    const { reason } = req.body;
+    const { reason, scope = 'this' } = req.body;
     
     // Check if user is organizer
     if (session.createdBy.toString() !== currentUser._id.toString()) {
@@ -627,11 +978,33 @@ router.post('/:id/cancel', authenticate, validateObjectId, checkResourceAccess('
       return res.status(400).json({ error: 'Session cannot be cancelled' });
     }
     
-    await session.cancelSession(reason);
+    if (!RECURRENCE_SCOPES.includes(scope)) {
+      return res.status(400).json({ error: `Scope must be one of: ${RECURRENCE_SCOPES.join(', ')}` });
+    }
+    
+    // Cancelling one occurrence leaves the rest of the series intact
+    const occurrences = (await Session.findSeriesOccurrences(session, scope))
+      .filter(occurrence => !['completed', 'cancelled'].includes(occurrence.status));
+    
+    // One update for every occurrence; cancelling leaves the group chat as it is
+    if (occurrences.length > 0) {
+      await Session.updateMany(
+        { _id: { $in: occurrences.map(occurrence => occurrence._id) } },
+        {
+          $set: {
+            status: 'cancelled',
+            updatedAt: new Date(),
+            ...(reason ? { 'notes.afterSession': `Cancelled: ${reason}` } : {})
+          }
+        }
+      );
+    }
     
     res.json({
       id: session._id,
-      status: session.status,
+      status: 'cancelled',
+      scope,
+      cancelledOccurrences: occurrences.length,
       message: 'Session cancelled successfully'
     });
     
@@ -666,6 +1039,7 @@ router.post('/:id/feedback', authenticate, validateObjectId, checkResourceAccess
     }
     
     await session.addFeedback(currentUser._id, rating, comment, categories);
+    await markMatchingModelDue(currentUser._id);
     
     res.json({
       message: 'Feedback submitted successfully',
@@ -686,6 +1060,246 @@ router.post('/:id/feedback', authenticate, validateObjectId, checkResourceAccess
   }
 });
 
+// List session materials
+router.get('/:id/materials', authenticate, validateObjectId, checkResourceAccess('session'), requireMaterialAccess, async (req, res) => {
+  try {
+    const session = await Session.findById(req.resource._id)
+      .populate('materials.uploadedBy', 'name avatar');
+    
+    res.json({
+      materials: session.materials.map(m => formatMaterial(session._id, m))
+    });
+    
+  } catch (error) {
+    console.error('Get materials error:', error);
+    res.status(500).json({ 
+      error: 'Failed to get materials',
+      message: error.message
+    });
+  }
+});
+
+// Add a link or note
+router.post('/:id/materials', authenticate, validateObjectId, checkResourceAccess('session'), requireMaterialAccess, validate(schemas.material), async (req, res) => {
+  try {
+    const session = req.resource;
+    const { type, name, url, content, isShared = false } = req.body;
+    
+    if (session.status === 'cancelled') {
+      return res.status(400).json({ error: 'Cannot add materials to a cancelled session' });
+    }
+    
+    if (session.materials.length >= MAX_MATERIALS) {
+      return res.status(400).json({ error: `A session can have at most ${MAX_MATERIALS} materials` });
+    }
+    
+    session.materials.push({
+      type,
+      name: name.trim(),
+      url,
+      content: content && content.trim(),
+      isShared,
+      uploadedBy: req.user._id
+    });
+    await session.save();
+    
+    const material = session.materials[session.materials.length - 1];
+    
+    res.status(201).json({
+      material: formatMaterial(session._id, material, req.user),
+      message: 'Material added successfully'
+    });
+    
+  } catch (error) {
+    console.error('Add material error:', error);
+    res.status(500).json({ 
+      error: 'Failed to add material',
+      message: error.message
+    });
+  }
+});
+
+// Upload a file
+router.post('/:id/materials/upload', authenticate, validateObjectId, checkResourceAccess('session'), requireMaterialAccess, uploadSingle('file', {
+  maxSize: MAX_FILE_SIZE,
+  mimeTypes: [...IMAGE_TYPES, ...DOCUMENT_TYPES],
+  extensions: [...IMAGE_EXTENSIONS, ...DOCUMENT_EXTENSIONS]
+}), validate(schemas.materialUpload), async (req, res) => {
+  let stored = null;
+  
+  try {
+    const session = req.resource;
+    const { name, content } = req.body;
+    // Multipart fields arrive as strings
+    const isShared = String(req.body.isShared) === 'true';
+    
+    if (session.status === 'cancelled') {
+      return res.status(400).json({ error: 'Cannot add materials to a cancelled session' });
+    }
+    
+    if (session.materials.length >= MAX_MATERIALS) {
+      return res.status(400).json({ error: `A session can have at most ${MAX_MATERIALS} materials` });
+    }
+    
+    try {
+      stored = await storeUpload(req.file, `sessions/${session._id}`);
+    } catch (uploadError) {
+      if (uploadError.code === 'INVALID_IMAGE') {
+        return res.status(400).json({ error: 'Upload failed', message: uploadError.message });
+      }
+      throw uploadError;
+    }
+    
+    session.materials.push({
+      type: 'file',
+      name: (name && name.trim()) || stored.fileName.slice(0, 100),
+      content: content ? content.trim() : undefined,
+      fileName: stored.fileName,
+      fileSize: stored.fileSize,
+      fileType: stored.fileType,
+      storageKey: stored.storageKey,
+      thumbnailKey: stored.thumbnailKey,
+      isShared,
+      uploadedBy: req.user._id
+    });
+    await session.save();
+    
+    const material = session.materials[session.materials.length - 1];
+    
+    res.status(201).json({
+      material: formatMaterial(session._id, material, req.user),
+      message: 'File uploaded successfully'
+    });
+    
+  } catch (error) {
+    if (stored) {
+      removeStoredFiles(stored.storageKey, stored.thumbnailKey)
+        .catch(cleanupError => console.error('Material cleanup error:', cleanupError));
+    }
+    
+    console.error('Upload material error:', error);
+    res.status(500).json({ 
+      error: 'Failed to upload material',
+      message: error.message
+    });
+  }
+});
+
+// Update a material (uploader or organizer)
+router.patch('/:id/materials/:materialId', authenticate, validateObjectId, checkResourceAccess('session'), requireMaterialAccess, validate(schemas.materialUpdate), async (req, res) => {
+  try {
+    const session = req.resource;
+    const { name, url, content, isShared } = req.body;
+    
+    const material = session.materials.id(req.params.materialId);
+    if (!material) {
+      return res.status(404).json({ error: 'Material not found' });
+    }
+    
+    if (!canManageMaterial(session, material, req.user._id)) {
+      return res.status(403).json({ error: 'Only the uploader or the organizer can change this material' });
+    }
+    
+    if (url !== undefined && material.type !== 'link') {
+      return res.status(400).json({ error: 'Only links have a URL' });
+    }
+    
+    if (material.type === 'note' && content !== undefined && !content.trim()) {
+      return res.status(400).json({ error: 'Note content cannot be empty' });
+    }
+    
+    if (name !== undefined) material.name = name.trim();
+    if (url !== undefined) material.url = url;
+    if (content !== undefined) material.content = content.trim();
+    if (isShared !== undefined) material.isShared = isShared;
+    material.updatedAt = new Date();
+    
+    await session.save();
+    await session.populate('materials.uploadedBy', 'name avatar');
+    
+    res.json({
+      material: formatMaterial(session._id, material),
+      message: 'Material updated successfully'
+    });
+    
+  } catch (error) {
+    console.error('Update material error:', error);
+    res.status(500).json({ 
+      error: 'Failed to update material',
+      message: error.message
+    });
+  }
+});
+
+// Remove a material (uploader or organizer)
+router.delete('/:id/materials/:materialId', authenticate, validateObjectId, checkResourceAccess('session'), requireMaterialAccess, async (req, res) => {
+  try {
+    const session = req.resource;
+    
+    const material = session.materials.id(req.params.materialId);
+    if (!material) {
+      return res.status(404).json({ error: 'Material not found' });
+    }
+    
+    if (!canManageMaterial(session, material, req.user._id)) {
+      return res.status(403).json({ error: 'Only the uploader or the organizer can remove this material' });
+    }
+    
+    const { storageKey, thumbnailKey } = material;
+    material.deleteOne();
+    await session.save();
+    
+    if (storageKey) {
+      removeStoredFiles(storageKey, thumbnailKey)
+        .catch(error => console.error('Material cleanup error:', error));
+    }
+    
+    res.json({
+      message: 'Material removed successfully'
+    });
+    
+  } catch (error) {
+    console.error('Remove material error:', error);
+    res.status(500).json({ 
+      error: 'Failed to remove material',
+      message: error.message
+    });
+  }
+});
+
+// Download an uploaded material or its thumbnail
+// Accepted participants can always download; anyone signed in can download library materials
+router.get('/:id/materials/:materialId/:variant(download|thumbnail)', validateObjectId, authenticateOrSignedUrl, async (req, res) => {
+  try {
+    const { id, materialId, variant } = req.params;
+    
+    const session = await Session.findById(id);
+    const material = session && session.materials.id(materialId);
+    const key = material && (variant === 'thumbnail' ? material.thumbnailKey : material.storageKey);
+    if (!key) {
+      return res.status(404).json({ error: 'Material not found' });
+    }
+    
+    // Without a signed link the user must take part or the material must be in the library
+    if (req.user) {
+      if (!canAccessMaterials(session, req.user._id) && !isLibraryMaterial(session, material)) {
+        return res.status(403).json({ error: 'Access denied to this session.' });
+      }
+    }
+    
+    sendStoredFile(res, key, variant === 'thumbnail'
+      ? { fileName: 'thumbnail.webp' }
+      : { fileName: material.fileName });
+    
+  } catch (error) {
+    console.error('Download material error:', error);
+    res.status(500).json({ 
+      error: 'Failed to download material',
+      message: error.message
+    });
+  }
+});
+
 // Get upcoming sessions
 router.get('/upcoming/list', authenticate, requireProfile, async (req, res) => {
   try {
@@ -745,6 +1359,10 @@ router.delete('/:id', authenticate, validateObjectId, checkResourceAccess('sessi
     
     await Session.findByIdAndDelete(session._id);
     
+    const fileKeys = session.materials.flatMap(m => [m.storageKey, m.thumbnailKey]);
+    removeStoredFiles(...fileKeys)
+      .catch(error => console.error('Material cleanup error:', error));
+    
     res.json({
       message: 'Session deleted successfully'
     });
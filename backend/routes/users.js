@@ -1,11 +1,40 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const Match = require('../models/Match');
-const { authenticate, requireProfile, userRateLimit } = require('../middleware/auth');
+const Session = require('../models/Session');
+const Message = require('../models/Message');
+const Chat = require('../models/Chat');
+const Report = require('../models/Report');
+const { authenticate, authenticatePendingDeletion, requireProfile, userRateLimit } = require('../middleware/auth');
 const { validate, validateObjectId, schemas } = require('../middleware/validation');
+const { uploadSingle } = require('../middleware/upload');
+const {
+  parseTimeWindow,
+  toUtcIntervals,
+  isValidTimezone,
+  getTimezoneOffset,
+  timeToMinutes,
+  computeFreeSlots
+} = require('../services/availability');
+const { extractBusyIntervals } = require('../services/icalendar');
+const { buildUserExport } = require('../services/dataExport');
+const { invalidateSuggestions } = require('../services/matchSuggestions');
+const { markMatchingModelDue } = require('../services/matchTraining');
 
 const router = express.Router();
 
+const DAY = 24 * 60 * 60 * 1000;
+
+// Midnight of the upcoming Monday (today if it is Monday) in the timezone
+const getNextLocalMonday = (timeZone, now = new Date()) => {
+  const wallNow = new Date(now.getTime() + getTimezoneOffset(timeZone, now) * 60 * 1000);
+  const daysUntilMonday = (8 - wallNow.getUTCDay()) % 7;
+  const wallMonday = Date.UTC(wallNow.getUTCFullYear(), wallNow.getUTCMonth(), wallNow.getUTCDate() + daysUntilMonday);
+
+  return new Date(wallMonday - getTimezoneOffset(timeZone, new Date(wallMonday)) * 60 * 1000);
+};
+
 // Apply rate limiting to all user routes
 router.use(userRateLimit(150, 15 * 60 * 1000)); // 150 requests per 15 minutes
 
@@ -47,20 +76,26 @@ router.post('/profile', authenticate, validate(schemas.profile), async (req, res
       subjects: profileData.subjects,
       learningStyle: profileData.learningStyle,
       availability: profileData.availability,
+      timezone: profileData.timezone || user.profile?.timezone || 'UTC',
       performanceLevel: profileData.performanceLevel,
       goals: profileData.goals || '',
+      // Leaving them out keeps the stored values; null clears them
+      birthdate: profileData.birthdate !== undefined ? profileData.birthdate : user.profile?.birthdate,
+      gender: profileData.gender !== undefined ? profileData.gender : user.profile?.gender,
       preferences: profileData.preferences || user.profile?.preferences || {}
     };
     
     await user.save();
     
-    // Find potential matches after profile update
+    // Refresh cached suggestions and find potential matches after profile update
     try {
+      await invalidateSuggestions(user._id);
+      
       const potentialMatches = await User.findPotentialMatches(user._id, 20);
       
       // Create match records
       const matchPromises = potentialMatches.map(async (match) => {
-        return Match.createOrUpdateMatch(user._id, match._id, match.compatibility);
+        return Match.createOrUpdateMatch(user._id, match._id, match.compatibility, match.compatibilityBreakdown, match.reasons);
       });
       
       await Promise.all(matchPromises);
@@ -88,13 +123,292 @@ router.post('/profile', authenticate, validate(schemas.profile), async (req, res
   }
 });
 
+// Import an .ics timetable and propose (or save) free time as availability
+router.post('/availability/import',
+  authenticate,
+  uploadSingle('calendar', { maxSize: 1024 * 1024, mimeTypes: ['text/calendar'], extensions: ['ics'] }),
+  validate(schemas.availabilityImport),
+  async (req, res) => {
+    try {
+      const user = req.user;
+      const {
+        mode = 'preview',
+        weeks = 2,
+        dayStart = '08:00',
+        dayEnd = '22:00',
+        minDuration = 60
+      } = req.body;
+      const timezone = req.body.timezone || user.profile?.timezone || 'UTC';
+
+      if (timeToMinutes(dayEnd) <= timeToMinutes(dayStart)) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: 'Day end must be after day start',
+          field: 'dayEnd'
+        });
+      }
+
+      const calendar = req.file.buffer.toString('utf8');
+      if (!/BEGIN:VCALENDAR/i.test(calendar)) {
+        return res.status(400).json({
+          error: 'Invalid calendar file',
+          message: 'The uploaded file is not an iCalendar (.ics) file'
+        });
+      }
+
+      // Analyse whole local weeks so every weekday is covered equally
+      const rangeStart = getNextLocalMonday(timezone);
+      const rangeEnd = new Date(rangeStart.getTime() + parseInt(weeks) * 7 * DAY);
+
+      const busy = extractBusyIntervals(calendar, rangeStart, rangeEnd, timezone);
+      const availability = computeFreeSlots(busy, timezone, {
+        dayStart,
+        dayEnd,
+        minDuration: parseInt(minDuration)
+      });
+
+      const result = {
+        mode,
+        timezone,
+        range: { start: rangeStart, end: rangeEnd },
+        busyCount: busy.length,
+        availability
+      };
+
+      if (mode !== 'replace') {
+        return res.json(result);
+      }
+
+      if (!user.profile || !user.profile.subjects || user.profile.subjects.length === 0) {
+        return res.status(403).json({
+          error: 'Profile setup required.',
+          message: 'Complete your profile before replacing availability',
+          profileComplete: false
+        });
+      }
+
+      if (availability.length === 0) {
+        return res.status(422).json({
+          error: 'No free time found',
+          message: 'The calendar leaves no free windows in the selected hours'
+        });
+      }
+
+      user.profile.availability = availability;
+      user.profile.timezone = timezone;
+      await user.save();
+      await invalidateSuggestions(user._id);
+
+      res.json({
+        ...result,
+        profile: user.profile,
+        message: 'Availability updated from calendar'
+      });
+
+    } catch (error) {
+      console.error('Import availability error:', error);
+      res.status(500).json({
+        error: 'Failed to import availability',
+        message: error.message
+      });
+    }
+  }
+);
+
+// Download everything stored about the current user as JSON
+router.get('/me/export', authenticatePendingDeletion, async (req, res) => {
+  try {
+    const archive = await buildUserExport(req.user._id);
+    if (!archive) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    const fileName = `studybuddy-export-${req.user._id}-${new Date().toISOString().slice(0, 10)}.json`;
+    
+    res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.json(archive);
+    
+  } catch (error) {
+    console.error('Export user data error:', error);
+    res.status(500).json({ 
+      error: 'Failed to export user data',
+      message: error.message
+    });
+  }
+});
+
+// Get reports filed by the current user and their outcome
+router.get('/reports', authenticate, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const skip = (page - 1) * limit;
+    const query = { reportedBy: req.user._id };
+    
+    const reports = await Report.find(query)
+      .populate('reportedUser', 'name avatar')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+    
+    const total = await Report.countDocuments(query);
+    
+    res.json({
+      reports: reports.map(report => report.toReporterJSON()),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+    
+  } catch (error) {
+    console.error('Get reports error:', error);
+    res.status(500).json({
+      error: 'Failed to get reports',
+      message: error.message
+    });
+  }
+});
+
+// Search users
+router.get('/search', authenticate, requireProfile, async (req, res) => {
+  try {
+    const {
+      q, // search query
+      subjects,
+      learningStyle,
+      performanceLevel,
+      availability, // e.g. "Mon 18:00-21:00" or "Tuesday"
+      timezone,
+      maxDistance,
+      page = 1,
+      limit = 20
+    } = req.query;
+    
+    const currentUser = req.user;
+    const skip = (page - 1) * limit;
+    
+    // Build search query
+    const query = {
+      _id: { $ne: currentUser._id },
+      isActive: true
+    };
+    
+    // Text search in name and profile goals
+    if (q) {
+      query.$or = [
+        { name: { $regex: q, $options: 'i' } },
+        { 'profile.goals': { $regex: q, $options: 'i' } }
+      ];
+    }
+    
+    // Filter by subjects
+    if (subjects) {
+      const subjectArray = Array.isArray(subjects) ? subjects : [subjects];
+      query['profile.subjects'] = { $in: subjectArray };
+    }
+    
+    // Filter by learning style
+    if (learningStyle) {
+      query['profile.learningStyle'] = parseInt(learningStyle);
+    }
+    
+    // Filter by performance level
+    if (performanceLevel) {
+      const level = parseInt(performanceLevel);
+      query['profile.performanceLevel'] = { $gte: level - 1, $lte: level + 1 };
+    }
+    
+    // Filter by availability windows (interpreted in the requested or user's timezone)
+    if (availability) {
+      const availabilityArray = Array.isArray(availability) ? availability : [availability];
+      const windows = availabilityArray.map(parseTimeWindow);
+      
+      if (windows.some(window => !window)) {
+        return res.status(400).json({ 
+          error: 'Invalid availability window',
+          message: 'Use a day with an optional time range, e.g. "Mon 18:00-21:00"'
+        });
+      }
+      
+      const searchTimezone = timezone || currentUser.profile?.timezone || 'UTC';
+      if (!isValidTimezone(searchTimezone)) {
+        return res.status(400).json({ error: 'Invalid timezone' });
+      }
+      
+      const intervals = toUtcIntervals(windows, searchTimezone);
+      query['profile.availabilityUtc'] = {
+        $elemMatch: {
+          $or: intervals.map(interval => ({
+            start: { $lt: interval.end },
+            end: { $gt: interval.start }
+          }))
+        }
+      };
+    }
+    
+    // Geospatial search if coordinates and maxDistance provided
+    if (maxDistance && currentUser.location.coordinates[0] !== 0 && currentUser.location.coordinates[1] !== 0) {
+      query.location = {
+        $near: {
+          $geometry: {
+            type: 'Point',
+            coordinates: currentUser.location.coordinates
+          },
+          $maxDistance: parseInt(maxDistance) * 1000 // Convert km to meters
+        }
+      };
+    }
+    
+    const users = await User.find(query)
+      .select('name email avatar profile stats location lastActive createdAt settings.privacy')
+      .sort({ lastActive: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+    
+    // Calculate compatibility scores
+    const usersWithCompatibility = users.map(user => {
+      const { score, breakdown, reasons } = currentUser.calculateCompatibility(user);
+      const { settings, ...visible } = user.toObject();
+      return {
+        ...visible,
+        profile: User.publicProfile(user),
+        compatibility: score,
+        compatibilityBreakdown: breakdown,
+        reasons
+      };
+    }).sort((a, b) => b.compatibility - a.compatibility);
+    
+    const total = await User.countDocuments(query);
+    
+    res.json({
+      users: usersWithCompatibility,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+    
+  } catch (error) {
+    console.error('Search users error:', error);
+    res.status(500).json({ 
+      error: 'Failed to search users',
+      message: error.message
+    });
+  }
+});
+
 // Get user by ID (public profile)
 router.get('/:id', authenticate, validateObjectId, async (req, res) => {
   try {
     const { id } = req.params;
     const currentUser = req.user;
     
-    const user = await User.findById(id).select('-auth0Id -settings');
+    // settings are needed for the privacy checks below but never returned
+    const user = await User.findById(id).select('-auth0Id -calendarToken');
     
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
@@ -122,6 +436,7 @@ router.get('/:id', authenticate, validateObjectId, async (req, res) => {
         subjects: user.profile?.subjects || [],
         learningStyle: user.profile?.learningStyle,
         availability: user.profile?.availability || [],
+        timezone: user.profile?.timezone || 'UTC',
         performanceLevel: user.profile?.performanceLevel,
         goals: user.profile?.goals || ''
       },
@@ -144,6 +459,15 @@ router.get('/:id', authenticate, validateObjectId, async (req, res) => {
       response.location = user.location;
     }
     
+    // Age and gender stay private unless the user shows them
+    const { age, gender } = User.publicProfile(user);
+    if (age !== undefined) {
+      response.profile.age = age;
+    }
+    if (gender !== undefined) {
+      response.profile.gender = gender;
+    }
+    
     res.json(response);
     
   } catch (error) {
@@ -223,6 +547,7 @@ router.patch('/location', authenticate, async (req, res) => {
     }
     
     await user.save();
+    await invalidateSuggestions(user._id);
     
     res.json({
       location: user.location,
@@ -238,106 +563,6 @@ router.patch('/location', authenticate, async (req, res) => {
   }
 });
 
-// Search users
-router.get('/search', authenticate, requireProfile, async (req, res) => {
-  try {
-    const {
-      q, // search query
-      subjects,
-      learningStyle,
-      performanceLevel,
-      availability,
-      maxDistance,
-      page = 1,
-      limit = 20
-    } = req.query;
-    
-    const currentUser = req.user;
-    const skip = (page - 1) * limit;
-    
-    // Build search query
-    const query = {
-      _id: { $ne: currentUser._id },
-      isActive: true
-    };
-    
-    // Text search in name and profile goals
-    if (q) {
-      query.$or = [
-        { name: { $regex: q, $options: 'i' } },
-        { 'profile.goals': { $regex: q, $options: 'i' } }
-      ];
-    }
-    
-    // Filter by subjects
-    if (subjects) {
-      const subjectArray = Array.isArray(subjects) ? subjects : [subjects];
-      query['profile.subjects'] = { $in: subjectArray };
-    }
-    
-    // Filter by learning style
-    if (learningStyle) {
-      query['profile.learningStyle'] = parseInt(learningStyle);
-    }
-    
-    // Filter by performance level
-    if (performanceLevel) {
-      const level = parseInt(performanceLevel);
-      query['profile.performanceLevel'] = { $gte: level - 1, $lte: level + 1 };
-    }
-    
-    // Filter by availability
-    if (availability) {
-      const availabilityArray = Array.isArray(availability) ? availability : [availability];
-      query['profile.availability'] = { $in: availabilityArray };
-    }
-    
-    // Geospatial search if coordinates and maxDistance provided
-    if (maxDistance && currentUser.location.coordinates[0] !== 0 && currentUser.location.coordinates[1] !== 0) {
-      query.location = {
-        $near: {
-          $geometry: {
-            type: 'Point',
-            coordinates: currentUser.location.coordinates
-          },
-          $maxDistance: parseInt(maxDistance) * 1000 // Convert km to meters
-        }
-      };
-    }
-    
-    const users = await User.find(query)
-      .select('name email avatar profile stats location lastActive createdAt')
-      .sort({ lastActive: -1 })
-      .skip(skip)
-      .limit(parseInt(limit));
-    
-    // Calculate compatibility scores
-    const usersWithCompatibility = users.map(user => ({
-      ...user.toObject(),
-      compatibility: currentUser.calculateCompatibility(user)
-    })).sort((a, b) => b.compatibility - a.compatibility);
-    
-    const total = await User.countDocuments(query);
-    
-    res.json({
-      users: usersWithCompatibility,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / limit)
-      }
-    });
-    
-  } catch (error) {
-    console.error('Search users error:', error);
-    res.status(500).json({ 
-      error: 'Failed to search users',
-      message: error.message
-    });
-  }
-});
-
 // Get user statistics
 router.get('/:id/stats', authenticate, validateObjectId, async (req, res) => {
   try {
@@ -410,9 +635,11 @@ router.patch('/:id/block', authenticate, validateObjectId, async (req, res) => {
     
     // Update match status
     match.status = block ? 'blocked' : 'pending';
-    match.addInteraction('block', { blocked: block, blockedBy: currentUser._id });
+    await match.addInteraction('block', { blocked: block, blockedBy: currentUser._id });
     
-    await match.save();
+    if (block) {
+      await markMatchingModelDue(currentUser._id);
+    }
     
     res.json({
       message: block ? 'User blocked successfully' : 'User unblocked successfully',
@@ -429,16 +656,12 @@ router.patch('/:id/block', authenticate, validateObjectId, async (req, res) => {
 });
 
 // Report user
-router.post('/:id/report', authenticate, validateObjectId, async (req, res) => {
+router.post('/:id/report', authenticate, validateObjectId, validate(schemas.report), async (req, res) => {
   try {
     const { id } = req.params;
-    const { reason, description } = req.body;
+    const { reason, description = '', evidence = {} } = req.body;
     const currentUser = req.user;
     
-    if (!reason) {
-      return res.status(400).json({ error: 'Report reason is required' });
-    }
-    
     if (id === currentUser._id.toString()) {
       return res.status(400).json({ error: 'Cannot report yourself' });
     }
@@ -448,30 +671,49 @@ router.post('/:id/report', authenticate, validateObjectId, async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
     
-    // Create report record (you might want to create a separate Report model)
-    const reportData = {
+    // One open report per reporter and user at a time
+    const openReport = await Report.findOne({
       reportedBy: currentUser._id,
       reportedUser: id,
-      reason,
-      description: description || '',
-      timestamp: new Date(),
-      status: 'pending'
-    };
+      status: { $in: ['pending', 'under-review'] }
+    });
+    if (openReport) {
+      return res.status(409).json({
+        error: 'Report already open',
+        message: 'You already have an open report about this user',
+        reportId: openReport._id
+      });
+    }
     
-    // For now, just log the report (implement proper reporting system later)
-    console.log('User report:', reportData);
+    const evidenceError = await validateReportEvidence(evidence, currentUser._id, id);
+    if (evidenceError) {
+      return res.status(400).json({ error: 'Invalid evidence', message: evidenceError });
+    }
+    
+    const report = new Report({
+      reportedBy: currentUser._id,
+      reportedUser: id,
+      reason,
+      description,
+      evidence: {
+        messages: evidence.messages || [],
+        sessions: evidence.sessions || []
+      },
+      history: [{ status: 'pending', changedBy: currentUser._id }]
+    });
+    await report.save();
     
     // Automatically block the user for the reporter
-    let match = await Match.findExistingMatch(currentUser._id, id);
+    const match = await Match.findExistingMatch(currentUser._id, id);
     if (match) {
       match.status = 'blocked';
-      match.addInteraction('report', reportData);
-      await match.save();
+      await match.addInteraction('report', { reportId: report._id, reason });
     }
     
-    res.json({
+    res.status(201).json({
       message: 'User reported successfully',
-      reportId: `report_${Date.now()}` // Generate proper ID in real implementation
+      reportId: report._id,
+      report: report.toReporterJSON()
     });
     
   } catch (error) {
@@ -483,6 +725,41 @@ router.post('/:id/report', authenticate, validateObjectId, async (req, res) => {
   }
 });
 
+// Make sure cited messages and sessions actually involve both users
+async function validateReportEvidence(evidence, reporterId, reportedUserId) {
+  const messageIds = evidence.messages || [];
+  const sessionIds = evidence.sessions || [];
+  
+  if (messageIds.length > 0) {
+    // Sent by the reported user in a chat the reporter is in, direct or group
+    const messages = await Message.find({
+      _id: { $in: messageIds },
+      senderId: reportedUserId
+    }).select('chatId');
+    
+    const chatIds = [...new Set(messages.map(message => message.chatId))];
+    const chatCount = chatIds.every(chatId => mongoose.isValidObjectId(chatId))
+      ? await Chat.countDocuments({ _id: { $in: chatIds }, participants: reporterId })
+      : 0;
+    
+    if (messages.length !== new Set(messageIds).size || chatCount !== chatIds.length) {
+      return 'Evidence messages must be messages the reported user sent in a chat with you';
+    }
+  }
+  
+  if (sessionIds.length > 0) {
+    const count = await Session.countDocuments({
+      _id: { $in: sessionIds },
+      'participants.userId': { $all: [reporterId, reportedUserId] }
+    });
+    if (count !== new Set(sessionIds).size) {
+      return 'Evidence sessions must include both you and the reported user';
+    }
+  }
+  
+  return null;
+}
+
 // Helper function to calculate profile completeness
 function calculateProfileCompleteness(profile) {
   if (!profile) return 0;
@@ -0,0 +1,195 @@
+// Offline evaluation of match ranking strategies.
+// Replays historical interactions: each user's outcomes (ratings, session
+// feedback, declines) before the cutoff train their matching model, and the
+// partners they had outcomes with after the cutoff are ranked by every
+// strategy. A good strategy ranks the partners that went well above the ones
+// that didn't.
+//
+// Usage: node scripts/evaluateMatching.js [--test-days=30 | --cutoff=2024-05-01] [--json]
+//
+// Metrics, averaged over users with held-out outcomes:
+//   pairwiseAccuracy - share of (better, worse) partner pairs ranked in that order
+//   ndcg             - NDCG of the ranking, with gains from the outcome labels
+// Profiles are the current ones since past versions aren't stored.
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Match = require('../models/Match');
+const Session = require('../models/Session');
+const { scoreCompatibility } = require('../services/compatibility');
+const { extractOutcomes, fitMatchingModel, getPersonalWeights } = require('../services/matchLearning');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// How each strategy uses the model learned from the training outcomes
+const STRATEGIES = {
+  baseline: () => undefined,
+  'learned-weights': (model) => ({ weightMultipliers: model.weightMultipliers }),
+  'learned-affinities': (model) => ({ affinities: model.affinities }),
+  learned: (model) => model
+};
+
+const parseArgs = (argv) => argv.reduce((args, arg) => {
+  const [key, value] = arg.replace(/^--/, '').split('=');
+  args[key] = value === undefined ? true : value;
+  return args;
+}, {});
+
+// Append to the list stored under key, creating it if needed
+const addTo = (map, key, value) => {
+  const id = key.toString();
+  if (!map.has(id)) map.set(id, []);
+  map.get(id).push(value);
+};
+
+// One averaged label per partner
+const labelsByPartner = (outcomes) => {
+  const totals = new Map();
+  outcomes.forEach(({ partnerId, label, weight }) => {
+    const total = totals.get(partnerId.toString()) || { sum: 0, weight: 0 };
+    total.sum += label * weight;
+    total.weight += weight;
+    totals.set(partnerId.toString(), total);
+  });
+
+  return Array.from(totals, ([partnerId, total]) => ({ partnerId, label: total.sum / total.weight }));
+};
+
+// Share of pairs with different labels that the scores order correctly; ties count half
+const pairwiseAccuracy = (ranked) => {
+  let pairs = 0;
+  let correct = 0;
+
+  for (let i = 0; i < ranked.length; i++) {
+    for (let j = i + 1; j < ranked.length; j++) {
+      const [a, b] = [ranked[i], ranked[j]];
+      if (a.label === b.label) continue;
+
+      pairs += 1;
+      if (a.score === b.score) {
+        correct += 0.5;
+      } else if ((a.score > b.score) === (a.label > b.label)) {
+        correct += 1;
+      }
+    }
+  }
+
+  return pairs > 0 ? correct / pairs : null;
+};
+
+const dcg = (gains) => gains.reduce((sum, gain, index) => sum + gain / Math.log2(index + 2), 0);
+
+const ndcg = (ranked) => {
+  const gains = ranked.map(entry => (entry.label + 1) / 2);
+  const ideal = dcg([...gains].sort((a, b) => b - a));
+  return ideal > 0 ? dcg(gains) / ideal : null;
+};
+
+const mean = (values) => {
+  const known = values.filter(value => value !== null);
+  return known.length > 0 ? Math.round(known.reduce((sum, value) => sum + value, 0) / known.length * 1000) / 1000 : null;
+};
+
+const loadData = async () => {
+  const [users, matches, sessions] = await Promise.all([
+    User.find({ 'profile.learningStyle': { $exists: true } }).select('profile location stats').lean(),
+    Match.find().select('userId matchedUserId ratings interactionHistory').lean(),
+    Session.find({ status: 'completed', 'feedback.0': { $exists: true } }).select('participants feedback').lean()
+  ]);
+
+  const matchesByUser = new Map();
+  matches.forEach(match => {
+    addTo(matchesByUser, match.userId, match);
+    addTo(matchesByUser, match.matchedUserId, match);
+  });
+
+  const sessionsByUser = new Map();
+  sessions.forEach(session => {
+    session.feedback.forEach(feedback => addTo(sessionsByUser, feedback.userId, session));
+  });
+
+  return {
+    users,
+    usersById: new Map(users.map(user => [user._id.toString(), user])),
+    matchesByUser,
+    sessionsByUser
+  };
+};
+
+const evaluate = ({ users, usersById, matchesByUser, sessionsByUser }, cutoff) => {
+  const results = Object.keys(STRATEGIES).reduce((all, name) => ({ ...all, [name]: { accuracy: [], ndcg: [] } }), {});
+  let evaluatedUsers = 0;
+
+  users.forEach(user => {
+    const id = user._id.toString();
+    const outcomes = extractOutcomes(user._id, {
+      matches: matchesByUser.get(id) || [],
+      sessions: sessionsByUser.get(id) || []
+    });
+
+    const training = outcomes.filter(outcome => outcome.at && new Date(outcome.at) < cutoff);
+    const heldOut = labelsByPartner(outcomes.filter(outcome => outcome.at && new Date(outcome.at) >= cutoff))
+      .filter(entry => usersById.has(entry.partnerId));
+    if (heldOut.length < 2) return;
+
+    evaluatedUsers += 1;
+    const model = fitMatchingModel(user, training, usersById);
+
+    Object.entries(STRATEGIES).forEach(([name, strategy]) => {
+      const candidate = { ...user, matchingModel: strategy(model) };
+      const weights = getPersonalWeights(candidate);
+
+      const ranked = heldOut
+        .map(entry => ({
+          ...entry,
+          score: scoreCompatibility(candidate, usersById.get(entry.partnerId), weights).score
+        }))
+        .sort((a, b) => b.score - a.score);
+
+      results[name].accuracy.push(pairwiseAccuracy(ranked));
+      results[name].ndcg.push(ndcg(ranked));
+    });
+  });
+
+  return {
+    cutoff,
+    evaluatedUsers,
+    strategies: Object.entries(results).map(([name, metrics]) => ({
+      strategy: name,
+      pairwiseAccuracy: mean(metrics.accuracy),
+      ndcg: mean(metrics.ndcg)
+    }))
+  };
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  const cutoff = args.cutoff
+    ? new Date(args.cutoff)
+    : new Date(Date.now() - (parseInt(args['test-days']) || 30) * DAY);
+
+  if (Number.isNaN(cutoff.getTime())) {
+    throw new Error(`Invalid cutoff date: ${args.cutoff}`);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/studybuddy');
+
+  try {
+    const report = evaluate(await loadData(), cutoff);
+
+    if (args.json) {
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      console.log(`Outcomes before ${cutoff.toISOString()} train, later ones are ranked (${report.evaluatedUsers} users)`);
+      console.table(report.strategies);
+    }
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main().catch(error => {
+  console.error('Matching evaluation error:', error);
+  process.exit(1);
+});
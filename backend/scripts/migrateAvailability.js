@@ -0,0 +1,55 @@
+// Rewrites stored availability and recomputes the UTC intervals:
+//   - whole-day strings from before time slots ("Monday") become all-day slots
+//   - profile.availabilityUtc is recomputed with today's timezone offsets
+// Run it once when upgrading, and again after DST changes so overlap queries
+// on availabilityUtc use the current offsets. Safe to run more than once.
+//
+// Usage: node scripts/migrateAvailability.js
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { normalizeAvailability, toUtcIntervals } = require('../services/availability');
+
+const migrate = async (now = new Date()) => {
+  // Raw documents, so legacy strings are seen as stored
+  const cursor = User.collection.find(
+    { 'profile.availability.0': { $exists: true } },
+    { projection: { 'profile.availability': 1, 'profile.timezone': 1 } }
+  );
+
+  let updated = 0;
+
+  for await (const user of cursor) {
+    const availability = normalizeAvailability(user.profile.availability);
+
+    await User.collection.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          'profile.availability': availability,
+          'profile.availabilityUtc': toUtcIntervals(availability, user.profile.timezone || 'UTC', now)
+        }
+      }
+    );
+    updated += 1;
+  }
+
+  return updated;
+};
+
+const main = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/studybuddy');
+
+  try {
+    const updated = await migrate();
+    console.log(`Updated availability of ${updated} users`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main().catch(error => {
+  console.error('Availability migration error:', error);
+  process.exit(1);
+});
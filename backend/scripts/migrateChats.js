@@ -0,0 +1,56 @@
+// Brings chats stored before group chats up to date:
+//   - chats without a chatType are direct chats
+//   - direct chats get their pairKey (the sorted participant ids)
+//   - indexes are synced with the schema, which drops the old unique
+//     participants_1 index that allowed each user a single chat
+// Safe to run more than once.
+//
+// Usage: node scripts/migrateChats.js
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Chat = require('../models/Chat');
+
+const migrate = async () => {
+  const typed = await Chat.updateMany(
+    { chatType: { $exists: false } },
+    { $set: { chatType: 'direct' } }
+  );
+
+  const chats = await Chat.find({ chatType: 'direct', pairKey: { $exists: false } }).select('participants');
+  let keyed = 0;
+
+  for (const chat of chats) {
+    if (chat.participants.length !== 2) {
+      console.warn(`Skipping direct chat ${chat._id} with ${chat.participants.length} participants`);
+      continue;
+    }
+
+    await Chat.updateOne(
+      { _id: chat._id },
+      { $set: { pairKey: Chat.getPairKey(...chat.participants) } }
+    );
+    keyed += 1;
+  }
+
+  const dropped = await Chat.syncIndexes();
+
+  return { typed: typed.modifiedCount, keyed, droppedIndexes: dropped };
+};
+
+const main = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/studybuddy');
+
+  try {
+    const result = await migrate();
+    console.log(`Set chatType on ${result.typed} chats, pairKey on ${result.keyed} direct chats`);
+    console.log(`Dropped indexes: ${result.droppedIndexes.join(', ') || 'none'}`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main().catch(error => {
+  console.error('Chat migration error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,131 @@
+// Brings matches stored before pairKey up to date:
+//   - a pair with more than one match (A→B and B→A) is merged into one: the
+//     match with the strongest status is kept (blocked, then declined, then
+//     active, then pending; the latest interaction breaks ties), the others'
+//     interaction history and ratings are copied over, queue actions are
+//     pointed at it, and the others are deleted
+//   - every match gets its pairKey (the sorted user ids)
+//   - indexes are synced with the schema, adding the unique pairKey index
+// Safe to run more than once.
+//
+// Usage: node scripts/migrateMatches.js
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Match = require('../models/Match');
+const QueueAction = require('../models/QueueAction');
+
+const STATUS_PRIORITY = ['blocked', 'declined', 'active', 'pending'];
+
+const rank = (match) => {
+  const index = STATUS_PRIORITY.indexOf(match.status);
+  return index === -1 ? STATUS_PRIORITY.length : index;
+};
+
+// The match to keep first
+const compareMatches = (a, b) => rank(a) - rank(b) || new Date(b.lastInteraction || 0) - new Date(a.lastInteraction || 0);
+
+// Copy what the duplicates know into the kept match
+const mergeInto = (kept, duplicates) => {
+  const history = [...kept.interactionHistory];
+
+  duplicates.forEach(duplicate => {
+    history.push(...duplicate.interactionHistory);
+
+    // Ratings are stored per side, and the sides may be swapped
+    const sameSide = duplicate.userId.toString() === kept.userId.toString();
+    const ratings = {
+      userRating: sameSide ? duplicate.ratings?.userRating : duplicate.ratings?.matchedUserRating,
+      matchedUserRating: sameSide ? duplicate.ratings?.matchedUserRating : duplicate.ratings?.userRating
+    };
+    ['userRating', 'matchedUserRating'].forEach(side => {
+      if (!kept.ratings?.[side]?.score && ratings[side]?.score) {
+        kept.set(`ratings.${side}`, ratings[side]);
+      }
+    });
+
+    kept.sessionCount = Math.max(kept.sessionCount || 0, duplicate.sessionCount || 0);
+  });
+
+  kept.interactionHistory = history.sort((a, b) => new Date(a.timestamp || 0) - new Date(b.timestamp || 0));
+};
+
+const mergeDuplicates = async () => {
+  const groups = await Match.aggregate([
+    {
+      $group: {
+        _id: {
+          $cond: [
+            { $lt: ['$userId', '$matchedUserId'] },
+            ['$userId', '$matchedUserId'],
+            ['$matchedUserId', '$userId']
+          ]
+        },
+        ids: { $push: '$_id' }
+      }
+    },
+    { $match: { 'ids.1': { $exists: true } } }
+  ]).allowDiskUse(true);
+
+  let removed = 0;
+
+  for (const group of groups) {
+    const [kept, ...duplicates] = (await Match.find({ _id: { $in: group.ids } })).sort(compareMatches);
+    const duplicateIds = duplicates.map(duplicate => duplicate._id);
+
+    mergeInto(kept, duplicates);
+
+    // Free the pairKey before the kept match takes it
+    await Match.deleteMany({ _id: { $in: duplicateIds } });
+    await kept.save();
+    await QueueAction.updateMany({ matchId: { $in: duplicateIds } }, { $set: { matchId: kept._id } });
+
+    removed += duplicateIds.length;
+  }
+
+  return { pairs: groups.length, removed };
+};
+
+const migrate = async () => {
+  const merged = await mergeDuplicates();
+
+  // The same key Match.getPairKey builds, set in one update
+  const userId = { $toString: '$userId' };
+  const matchedUserId = { $toString: '$matchedUserId' };
+  const keyed = await Match.updateMany(
+    { pairKey: { $exists: false } },
+    [{
+      $set: {
+        pairKey: {
+          $cond: [
+            { $lt: [userId, matchedUserId] },
+            { $concat: [userId, '_', matchedUserId] },
+            { $concat: [matchedUserId, '_', userId] }
+          ]
+        }
+      }
+    }]
+  );
+
+  const dropped = await Match.syncIndexes();
+
+  return { ...merged, keyed: keyed.modifiedCount, droppedIndexes: dropped };
+};
+
+const main = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/studybuddy');
+
+  try {
+    const result = await migrate();
+    console.log(`Merged ${result.pairs} duplicated pairs, removing ${result.removed} matches`);
+    console.log(`Set pairKey on ${result.keyed} matches`);
+    console.log(`Dropped indexes: ${result.droppedIndexes.join(', ') || 'none'}`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main().catch(error => {
+  console.error('Match migration error:', error);
+  process.exit(1);
+});
@@ -7,6 +7,11 @@ const mongoose = require('mongoose');
 const { createServer } = require('http');
 const { Server } = require('socket.io');
 require('dotenv').config();
+const { startReminderScheduler } = require('./services/reminders');
+const { startAccountDeletionJob } = require('./services/accountDeletion');
+const { startMatchSuggestionJob } = require('./services/matchSuggestions');
+const { startMatchLearningJob } = require('./services/matchTraining');
+const { initSocket } = require('./services/socket');
 
 const app = express();
 const server = createServer(app);
@@ -46,22 +51,8 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/studybudd
 .then(() => console.log('Connected to MongoDB'))
 .catch(err => console.error('MongoDB connection error:', err));
 
-// Socket.IO
-io.on('connection', (socket) => {
-  console.log('User connected:', socket.id);
-  
-  socket.on('join-user-room', (userId) => {
-    socket.join(`user_${userId}`);
-  });
-  
-  socket.on('join-chat', (chatId) => {
-    socket.join(chatId);
-  });
-  
-  socket.on('disconnect', () => {
-    console.log('User disconnected:', socket.id);
-  });
-});
+// Socket.IO (authentication, chat rooms, presence and typing)
+initSocket(io);
 
 // Routes
 app.use('/api/auth', require('./routes/auth'));
@@ -69,6 +60,7 @@ app.use('/api/users', require('./routes/users'));
 app.use('/api/matches', require('./routes/matches'));
 app.use('/api/sessions', require('./routes/sessions'));
 app.use('/api/messages', require('./routes/messages'));
+app.use('/api/admin', require('./routes/admin'));
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -90,6 +82,18 @@ app.use('*', (req, res) => {
   res.status(404).json({ error: 'Route not found' });
 });
 
+// Background jobs
+if (process.env.REMINDERS_ENABLED !== 'false') {
+  startReminderScheduler(io);
+}
+startAccountDeletionJob();
+if (process.env.MATCH_SUGGESTIONS_ENABLED !== 'false') {
+  startMatchSuggestionJob();
+}
+if (process.env.MATCH_LEARNING_ENABLED !== 'false') {
+  startMatchLearningJob();
+}
+
 const PORT = process.env.PORT || 5001;
 server.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
@@ -0,0 +1,187 @@
+// Account deletion pipeline.
+//
+// DELETE /api/auth/user only schedules the deletion: the account is hidden
+// (isActive: false) and can be restored during the grace period. Once the
+// grace period is over, purgeUserData applies this policy:
+//
+//   User       - deleted.
+//   Match      - every match involving the user is deleted (both sides).
+//   Session    - upcoming sessions the user organizes are cancelled; other
+//                sessions they organized pass to the next participant, or are
+//                deleted when nobody else took part. The user's participant
+//                entries and feedback are removed and uploaded materials are
+//                kept without an uploader (files of deleted sessions are removed).
+//                A deleted session's group chat and its messages go with it
+//                once no session of its series is left.
+//   Chat       - direct chats with the user are deleted with all their
+//                messages; the user is removed from group chats and the
+//                messages they sent there are deleted.
+//   Message    - every message the user sent or received is deleted, along
+//                with the stored files of its attachments.
+//   MatchSuggestion - the user's entry is deleted and they are removed from
+//                everyone else's suggestions.
+//   QueueAction - likes and skips by or of the user are deleted.
+//   Report     - kept for moderation records, with the user's description
+//                removed from reports they filed.
+//   AuditLog   - kept unchanged.
+
+const User = require('../models/User');
+const Match = require('../models/Match');
+const Session = require('../models/Session');
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+const Report = require('../models/Report');
+const MatchSuggestion = require('../models/MatchSuggestion');
+const QueueAction = require('../models/QueueAction');
+const { scheduleJob } = require('./jobScheduler');
+const { removeStoredFiles } = require('./files');
+
+const DAY = 24 * 60 * 60 * 1000;
+const GRACE_PERIOD_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14;
+
+const scheduleAccountDeletion = async (user, now = new Date()) => {
+  user.deletion = {
+    requestedAt: now,
+    scheduledFor: new Date(now.getTime() + GRACE_PERIOD_DAYS * DAY)
+  };
+  user.isActive = false;
+  await user.save();
+
+  return user.deletion.scheduledFor;
+};
+
+const cancelAccountDeletion = async (user) => {
+  user.deletion = undefined;
+  // A suspension issued during the grace period still applies
+  user.isActive = !user.suspension?.suspendedAt;
+  await user.save();
+};
+
+// Delete messages along with the stored files of their attachments
+const deleteMessages = async (filter) => {
+  const attachments = await Message.find({ ...filter, 'metadata.storageKey': { $exists: true } })
+    .select('metadata.storageKey metadata.thumbnailKey');
+  await Message.deleteMany(filter);
+  await removeStoredFiles(...attachments.flatMap(message => [message.metadata.storageKey, message.metadata.thumbnailKey]));
+};
+
+// Delete the group chat of a deleted session unless other sessions of the series remain
+const purgeSessionChat = async (session) => {
+  const rootId = session.recurring?.parentSessionId || session._id;
+  const remaining = await Session.exists({ $or: [{ _id: rootId }, { 'recurring.parentSessionId': rootId }] });
+  if (remaining) return;
+
+  const chat = await Chat.findOne({ sessionId: rootId });
+  if (!chat) return;
+
+  await deleteMessages({ chatId: chat._id.toString() });
+  await chat.deleteOne();
+};
+
+const purgeSessions = async (userId, now) => {
+  const sessions = await Session.find({
+    $or: [{ createdBy: userId }, { 'participants.userId': userId }]
+  });
+
+  for (const session of sessions) {
+    const isOrganizer = session.createdBy.toString() === userId.toString();
+
+    session.participants = session.participants.filter(p => p.userId.toString() !== userId.toString());
+    session.feedback = session.feedback.filter(fb => fb.userId.toString() !== userId.toString());
+    session.materials.forEach(material => {
+      if (material.uploadedBy && material.uploadedBy.toString() === userId.toString()) {
+        material.uploadedBy = undefined;
+      }
+    });
+
+    if (isOrganizer) {
+      if (session.participants.length === 0) {
+        await session.deleteOne();
+        await removeStoredFiles(...session.materials.flatMap(m => [m.storageKey, m.thumbnailKey]));
+        await purgeSessionChat(session);
+        continue;
+      }
+
+      const nextOrganizer = session.participants[0];
+      nextOrganizer.role = 'organizer';
+      session.createdBy = nextOrganizer.userId;
+
+      if (['scheduled', 'in-progress'].includes(session.status) && session.scheduledDate > now) {
+        session.status = 'cancelled';
+        session.notes.afterSession = 'Cancelled: the organizer deleted their account';
+      }
+    }
+
+    await session.save();
+  }
+
+  return sessions.length;
+};
+
+const purgeChats = async (userId) => {
+  const chats = await Chat.find({ participants: userId });
+  const directChatIds = chats.filter(chat => chat.chatType === 'direct').map(chat => chat._id);
+  const groupChatIds = chats.filter(chat => chat.chatType === 'group').map(chat => chat._id);
+
+  // Every message the user sent or received, in whichever chat
+  const messageFilter = { $or: [{ senderId: userId }, { receiverId: userId }] };
+  await deleteMessages(messageFilter);
+  await Chat.deleteMany({ _id: { $in: directChatIds } });
+  await Chat.updateMany(
+    { _id: { $in: groupChatIds } },
+    { $pull: { participants: userId, unreadCounts: { userId } } }
+  );
+
+  return chats.length;
+};
+
+/**
+ * Remove or anonymize everything stored about a user (see policy above).
+ * Returns counts of the records that were touched.
+ */
+const purgeUserData = async (userId, now = new Date()) => {
+  const matches = await Match.deleteMany({ $or: [{ userId }, { matchedUserId: userId }] });
+  await MatchSuggestion.deleteOne({ userId });
+  await MatchSuggestion.updateMany({ 'suggestions.userId': userId }, { $pull: { suggestions: { userId } } });
+  await QueueAction.deleteMany({ $or: [{ userId }, { targetUserId: userId }] });
+  const sessions = await purgeSessions(userId, now);
+  const chats = await purgeChats(userId);
+  const reports = await Report.updateMany({ reportedBy: userId }, { $set: { description: '' } });
+  await User.deleteOne({ _id: userId });
+
+  return {
+    matches: matches.deletedCount,
+    sessions,
+    chats,
+    reports: reports.modifiedCount
+  };
+};
+
+// Purge every account whose grace period has ended
+const processDueDeletions = async (now = new Date()) => {
+  const users = await User.find({ 'deletion.scheduledFor': { $lte: now } }).select('_id');
+
+  for (const user of users) {
+    try {
+      const summary = await purgeUserData(user._id, now);
+      console.log(`Deleted account ${user._id}:`, summary);
+    } catch (error) {
+      console.error(`Failed to delete account ${user._id}:`, error);
+    }
+  }
+
+  return users.length;
+};
+
+const startAccountDeletionJob = (intervalMs = 60 * 60 * 1000) => {
+  return scheduleJob('account-deletion', intervalMs, () => processDueDeletions(), { runImmediately: true });
+};
+
+module.exports = {
+  GRACE_PERIOD_DAYS,
+  scheduleAccountDeletion,
+  cancelAccountDeletion,
+  purgeUserData,
+  processDueDeletions,
+  startAccountDeletionJob
+};
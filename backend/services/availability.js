@@ -0,0 +1,319 @@
+// Weekly availability helpers.
+// Slots are stored as { day, startTime, endTime } in the user's timezone and
+// converted to UTC "minutes of week" intervals (0 = Monday 00:00 UTC) for
+// overlap calculations and queries.
+
+const DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+const MINUTES_PER_DAY = 24 * 60;
+const MINUTES_PER_WEEK = 7 * MINUTES_PER_DAY;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/;
+
+const isValidTimezone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Minutes the timezone is ahead of UTC at the given date
+const getTimezoneOffset = (timeZone = 'UTC', date = new Date()) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+
+  const get = (type) => Number(parts.find(part => part.type === type).value);
+  const asUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+
+  return Math.round((asUtc - date.getTime()) / (60 * 1000));
+};
+
+const timeToMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const minutesToTime = (minutes) => {
+  const hours = Math.floor(minutes / 60);
+  return `${String(hours).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+};
+
+// Resolve "Mon", "monday", "Monday" to the full day name
+const parseDay = (value) => {
+  if (!value) return null;
+  const prefix = value.trim().slice(0, 3).toLowerCase();
+  return DAYS.find(day => day.slice(0, 3).toLowerCase() === prefix) || null;
+};
+
+// Legacy whole-day strings ("Monday") as all-day slots; other slots unchanged
+const castLegacySlots = (availability) => {
+  if (!Array.isArray(availability)) return availability;
+
+  return availability.map(slot => {
+    if (typeof slot === 'string') {
+      return { day: parseDay(slot) || slot, startTime: '00:00', endTime: '24:00' };
+    }
+    return slot;
+  });
+};
+
+// Accept legacy whole-day strings alongside time slots
+const normalizeAvailability = (availability = []) => {
+  return castLegacySlots(availability).filter(slot => slot && DAYS.includes(slot.day));
+};
+
+// Sort and merge overlapping or touching intervals
+const mergeIntervals = (intervals) => {
+  const sorted = intervals
+    .filter(interval => interval.end > interval.start)
+    .sort((a, b) => a.start - b.start);
+
+  return sorted.reduce((merged, interval) => {
+    const last = merged[merged.length - 1];
+    if (last && interval.start <= last.end) {
+      last.end = Math.max(last.end, interval.end);
+    } else {
+      merged.push({ ...interval });
+    }
+    return merged;
+  }, []);
+};
+
+// Shift a local minutes-of-week interval to UTC, splitting at the week boundary
+const toWeekIntervals = (start, end) => {
+  let shiftedStart = start;
+  let shiftedEnd = end;
+
+  while (shiftedStart < 0) {
+    shiftedStart += MINUTES_PER_WEEK;
+    shiftedEnd += MINUTES_PER_WEEK;
+  }
+  while (shiftedStart >= MINUTES_PER_WEEK) {
+    shiftedStart -= MINUTES_PER_WEEK;
+    shiftedEnd -= MINUTES_PER_WEEK;
+  }
+
+  if (shiftedEnd <= MINUTES_PER_WEEK) {
+    return [{ start: shiftedStart, end: shiftedEnd }];
+  }
+
+  return [
+    { start: shiftedStart, end: MINUTES_PER_WEEK },
+    { start: 0, end: shiftedEnd - MINUTES_PER_WEEK }
+  ];
+};
+
+/**
+ * Convert availability slots in a timezone to merged UTC minutes-of-week
+ * intervals. The offset is taken at referenceDate, so across a DST change
+ * the result shifts by an hour. Stored intervals (profile.availabilityUtc)
+ * keep the offset they were computed with until the profile is saved again
+ * or scripts/migrateAvailability.js recomputes them.
+ */
+const toUtcIntervals = (availability, timeZone = 'UTC', referenceDate = new Date()) => {
+  const offset = getTimezoneOffset(timeZone, referenceDate);
+
+  const intervals = normalizeAvailability(availability).flatMap(slot => {
+    const dayStart = DAYS.indexOf(slot.day) * MINUTES_PER_DAY;
+    const start = dayStart + timeToMinutes(slot.startTime) - offset;
+    const end = dayStart + timeToMinutes(slot.endTime) - offset;
+
+    return toWeekIntervals(start, end);
+  });
+
+  return mergeIntervals(intervals);
+};
+
+// UTC intervals for a user document or lean object
+const getUserIntervals = (user, referenceDate) => {
+  return toUtcIntervals(user.profile?.availability || [], user.profile?.timezone || 'UTC', referenceDate);
+};
+
+// UTC timestamp of a wall-clock time in the timezone, given as if it were UTC
+const wallTimeToUtc = (wallTime, timeZone) => {
+  const guess = wallTime - getTimezoneOffset(timeZone, new Date(wallTime)) * 60 * 1000;
+  return wallTime - getTimezoneOffset(timeZone, new Date(guess)) * 60 * 1000;
+};
+
+/**
+ * Concrete { start, end } UTC timestamps of availability slots within
+ * [from, until). Unlike toUtcIntervals, each date is converted with the
+ * offset in effect on it, so slots keep their local time across DST changes.
+ */
+const expandAvailability = (availability, timeZone = 'UTC', from, until) => {
+  const dayMs = MINUTES_PER_DAY * 60 * 1000;
+  const slots = normalizeAvailability(availability);
+  const ranges = [];
+
+  // Local dates touching the window, counted in days since the epoch
+  const firstDay = Math.floor((from.getTime() + getTimezoneOffset(timeZone, from) * 60 * 1000) / dayMs);
+  const lastDay = Math.floor((until.getTime() + getTimezoneOffset(timeZone, until) * 60 * 1000) / dayMs);
+
+  for (let day = firstDay; day <= lastDay; day++) {
+    const dayStart = day * dayMs;
+    const dayName = DAYS[(new Date(dayStart).getUTCDay() + 6) % 7];
+
+    slots.filter(slot => slot.day === dayName).forEach(slot => {
+      const start = Math.max(wallTimeToUtc(dayStart + timeToMinutes(slot.startTime) * 60 * 1000, timeZone), from.getTime());
+      const end = Math.min(wallTimeToUtc(dayStart + timeToMinutes(slot.endTime) * 60 * 1000, timeZone), until.getTime());
+      if (end > start) {
+        ranges.push({ start, end });
+      }
+    });
+  }
+
+  return mergeIntervals(ranges);
+};
+
+// Concrete availability for a user document or lean object
+const getUserRanges = (user, from, until) => {
+  return expandAvailability(user.profile?.availability || [], user.profile?.timezone || 'UTC', from, until);
+};
+
+const intersectIntervals = (intervals, otherIntervals) => {
+  const overlaps = [];
+
+  intervals.forEach(a => {
+    otherIntervals.forEach(b => {
+      const start = Math.max(a.start, b.start);
+      const end = Math.min(a.end, b.end);
+      if (end > start) {
+        overlaps.push({ start, end });
+      }
+    });
+  });
+
+  return mergeIntervals(overlaps);
+};
+
+// Remove blocked intervals from free intervals (any unit, { start, end })
+const subtractIntervals = (intervals, blocked) => {
+  return blocked.reduce((free, block) => free.flatMap(interval => {
+    if (block.end <= interval.start || block.start >= interval.end) {
+      return [interval];
+    }
+
+    const pieces = [];
+    if (block.start > interval.start) {
+      pieces.push({ start: interval.start, end: block.start });
+    }
+    if (block.end < interval.end) {
+      pieces.push({ start: block.end, end: interval.end });
+    }
+    return pieces;
+  }), intervals);
+};
+
+const totalMinutes = (intervals) => {
+  return intervals.reduce((sum, interval) => sum + (interval.end - interval.start), 0);
+};
+
+// Days (in the given timezone) touched by a set of UTC intervals
+const getIntervalDays = (intervals, timeZone = 'UTC', referenceDate = new Date()) => {
+  const offset = getTimezoneOffset(timeZone, referenceDate);
+  const dayIndexes = new Set();
+
+  intervals.forEach(interval => {
+    toWeekIntervals(interval.start + offset, interval.end + offset).forEach(local => {
+      const firstDay = Math.floor(local.start / MINUTES_PER_DAY);
+      const lastDay = Math.floor((local.end - 1) / MINUTES_PER_DAY);
+      for (let day = firstDay; day <= lastDay; day++) {
+        dayIndexes.add(day);
+      }
+    });
+  });
+
+  return Array.from(dayIndexes).sort((a, b) => a - b).map(index => DAYS[index]);
+};
+
+/**
+ * Turn concrete busy intervals ({ start, end } UTC timestamps) into weekly
+ * free slots in the given timezone. A minute of the week counts as busy if
+ * it is busy in any analysed week. Free time is limited to dayStart-dayEnd
+ * and only windows of at least minDuration minutes are kept.
+ */
+const computeFreeSlots = (busy, timeZone = 'UTC', { dayStart = '08:00', dayEnd = '22:00', minDuration = 60 } = {}) => {
+  const busyMinutes = mergeIntervals(busy.flatMap(interval => {
+    const wallStart = new Date(interval.start + getTimezoneOffset(timeZone, new Date(interval.start)) * 60 * 1000);
+    const start = ((wallStart.getUTCDay() + 6) % 7) * MINUTES_PER_DAY +
+      wallStart.getUTCHours() * 60 + wallStart.getUTCMinutes();
+    const length = Math.min(MINUTES_PER_WEEK, Math.ceil((interval.end - interval.start) / (60 * 1000)));
+
+    return toWeekIntervals(start, start + length);
+  }));
+
+  return DAYS.flatMap((day, index) => {
+    const window = {
+      start: index * MINUTES_PER_DAY + timeToMinutes(dayStart),
+      end: index * MINUTES_PER_DAY + timeToMinutes(dayEnd)
+    };
+
+    return subtractIntervals([window], busyMinutes)
+      .filter(free => free.end - free.start >= minDuration)
+      .map(free => ({
+        day,
+        startTime: minutesToTime(free.start - index * MINUTES_PER_DAY),
+        endTime: minutesToTime(free.end - index * MINUTES_PER_DAY)
+      }));
+  });
+};
+
+/**
+ * Parse a search window such as "Mon 18:00-21:00" or "Tuesday".
+ * Returns { day, startTime, endTime } or null when the value is invalid.
+ */
+const parseTimeWindow = (value) => {
+  const match = /^\s*([A-Za-z]+)(?:\s+(\d{1,2}:\d{2})\s*[-–]\s*(\d{1,2}:\d{2}))?\s*$/.exec(value || '');
+  if (!match) return null;
+
+  const day = parseDay(match[1]);
+  if (!day) return null;
+
+  if (!match[2]) {
+    return { day, startTime: '00:00', endTime: '24:00' };
+  }
+
+  const startTime = match[2].padStart(5, '0');
+  const endTime = match[3].padStart(5, '0');
+
+  if (!TIME_PATTERN.test(startTime) || !TIME_PATTERN.test(endTime) ||
+      timeToMinutes(endTime) <= timeToMinutes(startTime)) {
+    return null;
+  }
+
+  return { day, startTime, endTime };
+};
+
+module.exports = {
+  DAYS,
+  MINUTES_PER_DAY,
+  MINUTES_PER_WEEK,
+  TIME_PATTERN,
+  isValidTimezone,
+  getTimezoneOffset,
+  timeToMinutes,
+  minutesToTime,
+  parseDay,
+  castLegacySlots,
+  normalizeAvailability,
+  mergeIntervals,
+  toWeekIntervals,
+  toUtcIntervals,
+  getUserIntervals,
+  expandAvailability,
+  getUserRanges,
+  intersectIntervals,
+  subtractIntervals,
+  totalMinutes,
+  computeFreeSlots,
+  getIntervalDays,
+  parseTimeWindow
+};
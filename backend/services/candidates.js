@@ -0,0 +1,213 @@
+// Candidate generation for matching.
+// Builds the aggregation pipeline that picks the users worth scoring: they
+// share a subject, and both sides' distance, age and gender preferences accept
+// each other. Candidates are then pre-ranked in MongoDB by subject overlap,
+// schedule overlap and how recently they were active, so callers can page
+// through the best ones first. Missing data is handled as follows:
+//   - no location: the user's distance preference is not applied (and they
+//     are never found by a user who has a location, since $geoNear needs one)
+//   - no birthdate: passes every age range
+//   - no gender: only passes a genderPreference of "any"
+
+const mongoose = require('mongoose');
+const { hasCoordinates } = require('./compatibility');
+const { getUserIntervals } = require('./availability');
+const { candidateRanking } = require('../config/matching');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const DEFAULT_PREFERENCES = {
+  maxDistance: 50, // km
+  ageRange: { min: 18, max: 65 },
+  genderPreference: 'any'
+};
+
+const yearsBefore = (date, years) => {
+  const result = new Date(date);
+  result.setUTCFullYear(result.getUTCFullYear() - years);
+  return result;
+};
+
+// Age in whole years on the given date
+const getAge = (birthdate, now = new Date()) => {
+  if (!birthdate) return null;
+
+  const born = new Date(birthdate);
+  const age = now.getUTCFullYear() - born.getUTCFullYear();
+  const hadBirthday = now.getUTCMonth() > born.getUTCMonth() ||
+    (now.getUTCMonth() === born.getUTCMonth() && now.getUTCDate() >= born.getUTCDate());
+
+  return hadBirthday ? age : age - 1;
+};
+
+const getPreferences = (user) => {
+  const preferences = user.profile?.preferences || {};
+  return {
+    maxDistance: preferences.maxDistance || DEFAULT_PREFERENCES.maxDistance,
+    ageRange: {
+      min: preferences.ageRange?.min ?? DEFAULT_PREFERENCES.ageRange.min,
+      max: preferences.ageRange?.max ?? DEFAULT_PREFERENCES.ageRange.max
+    },
+    genderPreference: preferences.genderPreference || DEFAULT_PREFERENCES.genderPreference
+  };
+};
+
+// What the user wants in a candidate, as a query on the candidate's fields
+const buildOwnPreferenceQuery = (user, now) => {
+  const { ageRange, genderPreference } = getPreferences(user);
+  const query = {
+    // Born no more than max+1 years ago and at least min years ago
+    $or: [
+      { 'profile.birthdate': null },
+      {
+        'profile.birthdate': {
+          $gt: yearsBefore(now, ageRange.max + 1),
+          $lte: yearsBefore(now, ageRange.min)
+        }
+      }
+    ]
+  };
+
+  if (genderPreference !== 'any') {
+    query['profile.gender'] = genderPreference;
+  }
+
+  return query;
+};
+
+// What each candidate wants, checked against the user (an $expr condition)
+const buildTheirPreferenceExpr = (user, { withDistance }, now) => {
+  const conditions = [{
+    $or: [
+      { $eq: [{ $ifNull: ['$profile.preferences.genderPreference', DEFAULT_PREFERENCES.genderPreference] }, 'any'] },
+      { $eq: ['$profile.preferences.genderPreference', user.profile?.gender || null] }
+    ]
+  }];
+
+  const age = getAge(user.profile?.birthdate, now);
+  if (age !== null) {
+    conditions.push(
+      { $lte: [{ $ifNull: ['$profile.preferences.ageRange.min', DEFAULT_PREFERENCES.ageRange.min] }, age] },
+      { $gte: [{ $ifNull: ['$profile.preferences.ageRange.max', DEFAULT_PREFERENCES.ageRange.max] }, age] }
+    );
+  }
+
+  // $geoNear's distance is in meters, maxDistance in km
+  if (withDistance) {
+    conditions.push({
+      $lte: ['$distance', {
+        $multiply: [{ $ifNull: ['$profile.preferences.maxDistance', DEFAULT_PREFERENCES.maxDistance] }, 1000]
+      }]
+    });
+  }
+
+  return { $and: conditions };
+};
+
+// Minutes of the candidate's weekly UTC availability that overlap the user's
+const buildScheduleOverlapExpr = (intervals) => {
+  if (intervals.length === 0) return 0;
+
+  return {
+    $reduce: {
+      input: { $ifNull: ['$profile.availabilityUtc', []] },
+      initialValue: 0,
+      in: {
+        $add: ['$$value', ...intervals.map(interval => ({
+          $max: [0, {
+            $subtract: [
+              { $min: ['$$this.end', interval.end] },
+              { $max: ['$$this.start', interval.start] }
+            ]
+          }]
+        }))]
+      }
+    }
+  };
+};
+
+// Pre-rank from 0 to 100: shared subjects and schedule relative to the user's,
+// plus an activity bonus that halves after a week of inactivity
+const buildRankStages = (user, now) => {
+  const subjects = [...(user.profile?.subjects || [])];
+  const intervals = getUserIntervals(user);
+  const availableMinutes = intervals.reduce((total, interval) => total + interval.end - interval.start, 0);
+
+  return [
+    {
+      $addFields: {
+        subjectOverlap: {
+          $size: { $setIntersection: [{ $ifNull: ['$profile.subjects', []] }, subjects] }
+        },
+        scheduleOverlap: buildScheduleOverlapExpr(intervals),
+        daysInactive: {
+          $max: [0, { $divide: [{ $subtract: [now, { $ifNull: ['$lastActive', new Date(0)] }] }, DAY] }]
+        }
+      }
+    },
+    {
+      $addFields: {
+        rankScore: {
+          $add: [
+            { $multiply: [candidateRanking.subjects, { $divide: ['$subjectOverlap', Math.max(subjects.length, 1)] }] },
+            availableMinutes > 0
+              ? { $multiply: [candidateRanking.schedule, { $min: [1, { $divide: ['$scheduleOverlap', availableMinutes] }] }] }
+              : 0,
+            { $divide: [candidateRanking.recency, { $add: [1, { $divide: ['$daysInactive', 7] }] }] }
+          ]
+        }
+      }
+    }
+  ];
+};
+
+/**
+ * Aggregation pipeline for a user's candidates, best pre-rank first; skip and
+ * limit select a page, or cap how many a cursor streams.
+ * Candidates carry subjectOverlap, scheduleOverlap, daysInactive and rankScore,
+ * plus `distance` in meters when the user has a location.
+ * excludeIds: users to leave out, e.g. existing matches
+ * candidateIds: only consider these users, e.g. to check a single one
+ */
+const buildCandidatePipeline = (user, { skip = 0, limit = 40, excludeIds = [], candidateIds, now = new Date() } = {}) => {
+  const toObjectId = (id) => new mongoose.Types.ObjectId(id.toString());
+  const query = {
+    _id: {
+      $nin: [user._id, ...excludeIds.map(toObjectId)],
+      ...(candidateIds ? { $in: candidateIds.map(toObjectId) } : {})
+    },
+    isActive: true,
+    'profile.subjects': { $in: [...(user.profile?.subjects || [])] },
+    ...buildOwnPreferenceQuery(user, now)
+  };
+
+  const withDistance = hasCoordinates(user);
+  const firstStage = withDistance
+    ? {
+      $geoNear: {
+        near: { type: 'Point', coordinates: [...user.location.coordinates] },
+        distanceField: 'distance',
+        maxDistance: getPreferences(user).maxDistance * 1000,
+        spherical: true,
+        key: 'location',
+        query
+      }
+    }
+    : { $match: query };
+
+  return [
+    firstStage,
+    { $match: { $expr: buildTheirPreferenceExpr(user, { withDistance }, now) } },
+    ...buildRankStages(user, now),
+    // _id keeps the order stable between pages
+    { $sort: { rankScore: -1, _id: 1 } },
+    { $skip: skip },
+    { $limit: limit }
+  ];
+};
+
+module.exports = {
+  DEFAULT_PREFERENCES,
+  getAge,
+  buildCandidatePipeline
+};
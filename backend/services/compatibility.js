@@ -0,0 +1,244 @@
+const matchingConfig = require('../config/matching');
+const {
+  getUserIntervals,
+  intersectIntervals,
+  totalMinutes,
+  getIntervalDays
+} = require('./availability');
+
+// Registered scoring factors, keyed by name
+const factors = new Map();
+
+const LEARNING_STYLES = {
+  1: 'Visual',
+  2: 'Auditory',
+  3: 'Kinesthetic',
+  4: 'Reading/Writing'
+};
+
+/**
+ * Register a compatibility factor.
+ * The scorer receives both users and returns a value between 0 and 1,
+ * or null when the factor does not apply (e.g. missing location).
+ * The optional explain(user, otherUser, value) returns a short
+ * human-readable reason, or null when there is nothing worth saying.
+ */
+const registerFactor = (name, scorer, { explain } = {}) => {
+  if (typeof scorer !== 'function') {
+    throw new Error(`Scorer for factor "${name}" must be a function`);
+  }
+
+  factors.set(name, { scorer, explain });
+};
+
+const getFactorNames = () => Array.from(factors.keys());
+
+// Distance in km between two [longitude, latitude] points
+const haversineDistance = ([lon1, lat1], [lon2, lat2]) => {
+  const toRad = (deg) => deg * Math.PI / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+
+  return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+const findCommonSubjects = (user, otherUser) => {
+  const otherSubjects = otherUser.profile?.subjects || [];
+  return (user.profile?.subjects || []).filter(s1 =>
+    otherSubjects.some(s2 => s1.toLowerCase() === s2.toLowerCase())
+  );
+};
+
+const formatHours = (minutes) => {
+  const hours = Math.round(minutes / 6) / 10;
+  return `${hours}h`;
+};
+
+// Read a learned value from a Mongoose Map or a plain object (lean documents)
+const readLearned = (values, key) => {
+  if (!values || key === undefined || key === null) return undefined;
+  return values instanceof Map ? values.get(String(key)) : values[String(key)];
+};
+
+// The user's learned affinity (-1 to 1) for the partner's learning style and
+// level, averaged over the traits with data; null before anything was learned
+const getPartnerAffinity = (user, otherUser) => {
+  const affinities = user.matchingModel?.affinities;
+  if (!affinities) return null;
+
+  const known = [
+    readLearned(affinities.learningStyle, otherUser.profile?.learningStyle),
+    readLearned(affinities.performanceLevel, otherUser.profile?.performanceLevel)
+  ].filter(value => typeof value === 'number');
+
+  if (known.length === 0) return null;
+  return known.reduce((sum, value) => sum + value, 0) / known.length;
+};
+
+const hasCoordinates = (user) => {
+  const coordinates = user.location?.coordinates;
+  return Array.isArray(coordinates) && coordinates.length === 2 &&
+    !(coordinates[0] === 0 && coordinates[1] === 0);
+};
+
+// Built-in factors
+registerFactor('subjects', (user, otherUser) => {
+  const total = Math.max(user.profile?.subjects?.length || 0, otherUser.profile?.subjects?.length || 0);
+  if (total === 0) return 0;
+
+  return findCommonSubjects(user, otherUser).length / total;
+}, {
+  explain: (user, otherUser) => {
+    const common = findCommonSubjects(user, otherUser);
+    return common.length > 0 ? `shared subjects: ${common.join(', ')}` : null;
+  }
+});
+
+registerFactor('learningStyle', (user, otherUser) => {
+  const diff = Math.abs(user.profile.learningStyle - otherUser.profile.learningStyle);
+  if (diff === 0) return 1;
+  return diff <= 1 ? 0.5 : 0;
+}, {
+  explain: (user, otherUser) => {
+    const style = LEARNING_STYLES[user.profile.learningStyle];
+    const otherStyle = LEARNING_STYLES[otherUser.profile.learningStyle];
+
+    if (user.profile.learningStyle === otherUser.profile.learningStyle) {
+      return `same learning style (${style})`;
+    }
+    return `learning styles ${style} vs ${otherStyle}`;
+  }
+});
+
+// Share of the smaller weekly schedule that overlaps in real time
+registerFactor('schedule', (user, otherUser) => {
+  const intervals = getUserIntervals(user);
+  const otherIntervals = getUserIntervals(otherUser);
+
+  const smallest = Math.min(totalMinutes(intervals), totalMinutes(otherIntervals));
+  if (smallest === 0) return 0;
+
+  return totalMinutes(intersectIntervals(intervals, otherIntervals)) / smallest;
+}, {
+  explain: (user, otherUser) => {
+    const overlap = intersectIntervals(getUserIntervals(user), getUserIntervals(otherUser));
+    if (overlap.length === 0) return 'no shared availability';
+
+    const days = getIntervalDays(overlap, user.profile?.timezone || 'UTC');
+    return `both available ${days.map(day => day.slice(0, 3)).join('/')} (${formatHours(totalMinutes(overlap))}/week)`;
+  }
+});
+
+registerFactor('performanceLevel', (user, otherUser) => {
+  const diff = Math.abs(user.profile.performanceLevel - otherUser.profile.performanceLevel);
+  return Math.max(0, 1 - diff / 5);
+}, {
+  explain: (user, otherUser) => {
+    if (user.profile.performanceLevel === otherUser.profile.performanceLevel) {
+      return `same level (${user.profile.performanceLevel})`;
+    }
+    return `levels ${user.profile.performanceLevel} vs ${otherUser.profile.performanceLevel}`;
+  }
+});
+
+registerFactor('distance', (user, otherUser) => {
+  if (!hasCoordinates(user) || !hasCoordinates(otherUser)) return null;
+
+  const maxDistance = user.profile?.preferences?.maxDistance || 50;
+  const distance = haversineDistance(user.location.coordinates, otherUser.location.coordinates);
+
+  return Math.max(0, 1 - distance / maxDistance);
+}, {
+  explain: (user, otherUser) => {
+    const distance = haversineDistance(user.location.coordinates, otherUser.location.coordinates);
+    return `${Math.round(distance)} km away`;
+  }
+});
+
+registerFactor('ratingHistory', (user, otherUser) => {
+  if (!otherUser.stats || !otherUser.stats.totalRatings) return null;
+  return otherUser.stats.averageRating / 5;
+}, {
+  explain: (user, otherUser) => {
+    return `rated ${otherUser.stats.averageRating}/5 by ${otherUser.stats.totalRatings} partners`;
+  }
+});
+
+// Learned from the user's past ratings, session feedback and declines
+// (services/matchLearning.js); neutral partners score 0.5
+registerFactor('partnerPreference', (user, otherUser) => {
+  const affinity = getPartnerAffinity(user, otherUser);
+  return affinity === null ? null : (affinity + 1) / 2;
+}, {
+  explain: (user, otherUser) => {
+    const affinity = readLearned(user.matchingModel.affinities.learningStyle, otherUser.profile?.learningStyle);
+    if (typeof affinity !== 'number' || affinity < 0.25) return null;
+
+    return `your sessions with ${LEARNING_STYLES[otherUser.profile.learningStyle]} learners went well`;
+  }
+});
+
+/**
+ * Score two users against every registered factor with a non-zero weight.
+ * Factors that return null are left out and the remaining weights are
+ * renormalised, so a missing location doesn't drag the score down.
+ * Returns { score, breakdown, reasons } where breakdown lists each factor's
+ * raw value (0-1), configured weight and points contributed to the score,
+ * and reasons holds the explanations ordered by contribution.
+ */
+const scoreCompatibility = (user, otherUser, weights = matchingConfig.weights) => {
+  const evaluated = [];
+
+  factors.forEach(({ scorer, explain }, name) => {
+    const weight = weights[name] || 0;
+    if (weight <= 0) return;
+
+    const value = scorer(user, otherUser);
+    if (value === null || value === undefined || Number.isNaN(value)) return;
+
+    const clamped = Math.min(1, Math.max(0, value));
+    evaluated.push({
+      factor: name,
+      weight,
+      value: clamped,
+      reason: explain ? explain(user, otherUser, clamped) : null
+    });
+  });
+
+  const totalWeight = evaluated.reduce((sum, entry) => sum + entry.weight, 0);
+  if (totalWeight === 0) {
+    return { score: 0, breakdown: [], reasons: [] };
+  }
+
+  const breakdown = evaluated.map(entry => ({
+    factor: entry.factor,
+    weight: entry.weight,
+    value: Math.round(entry.value * 100) / 100,
+    points: Math.round((entry.value * entry.weight / totalWeight) * 1000) / 10
+  }));
+
+  const rawScore = evaluated.reduce((sum, entry) => sum + entry.value * entry.weight, 0) / totalWeight * 100;
+
+  const reasons = evaluated
+    .filter(entry => entry.reason)
+    .sort((a, b) => b.value * b.weight - a.value * a.weight)
+    .map(entry => ({ factor: entry.factor, message: entry.reason }));
+
+  return {
+    score: Math.min(100, Math.round(rawScore)),
+    breakdown,
+    reasons
+  };
+};
+
+module.exports = {
+  registerFactor,
+  getFactorNames,
+  scoreCompatibility,
+  haversineDistance,
+  hasCoordinates,
+  readLearned
+};
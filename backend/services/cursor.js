@@ -0,0 +1,76 @@
+// Cursor pagination for lists sorted newest first by a date field, or
+// highest first by a number field.
+// A cursor is an opaque token holding the sort value and _id of an item; ties
+// on the value are broken by _id so pages never skip or repeat items, even
+// while new items are being added.
+
+const mongoose = require('mongoose');
+
+const encodeCursor = (doc, field) => {
+  const value = doc[field] instanceof Date ? doc[field].toISOString() : doc[field];
+  return Buffer.from(JSON.stringify([value, doc._id.toString()])).toString('base64url');
+};
+
+// Throws an error with code INVALID_CURSOR for anything we didn't issue
+const decodeCursor = (cursor) => {
+  try {
+    const [value, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    const isNumber = typeof value === 'number' && Number.isFinite(value);
+    const date = typeof value === 'string' ? new Date(value) : null;
+
+    if ((!isNumber && (!date || Number.isNaN(date.getTime()))) || !/^[0-9a-fA-F]{24}$/.test(id)) {
+      throw new Error('Malformed cursor');
+    }
+
+    return { value: isNumber ? value : date, id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    const invalid = new Error('Invalid cursor');
+    invalid.code = 'INVALID_CURSOR';
+    throw invalid;
+  }
+};
+
+/**
+ * Run a find query one cursor page at a time.
+ * before: items older than that cursor (the default, from the newest item)
+ * after:  items newer than that cursor, e.g. to catch up after a reconnect
+ * Returns { items, hasMore, olderCursor, newerCursor } with items newest first;
+ * hasMore refers to the requested direction. For a number field "older"
+ * means lower and "newer" higher.
+ */
+const paginateByCursor = async (query, { field = 'createdAt', before, after, limit = 20 } = {}) => {
+  const newer = !!after;
+  const cursor = before || after ? decodeCursor(after || before) : null;
+  const operator = newer ? '$gt' : '$lt';
+  const direction = newer ? 1 : -1;
+
+  if (cursor) {
+    query.and([{
+      $or: [
+        { [field]: { [operator]: cursor.value } },
+        { [field]: cursor.value, _id: { [operator]: cursor.id } }
+      ]
+    }]);
+  }
+
+  const docs = await query.sort({ [field]: direction, _id: direction }).limit(limit + 1);
+  const hasMore = docs.length > limit;
+  const items = docs.slice(0, limit);
+  if (newer) {
+    items.reverse();
+  }
+
+  return {
+    items,
+    hasMore,
+    olderCursor: items.length > 0 ? encodeCursor(items[items.length - 1], field) : null,
+    // With nothing newer yet, keep the cursor so the client can ask again later
+    newerCursor: items.length > 0 ? encodeCursor(items[0], field) : (after || null)
+  };
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  paginateByCursor
+};
@@ -0,0 +1,90 @@
+// Builds the JSON archive returned by GET /api/users/me/export
+
+const User = require('../models/User');
+const Match = require('../models/Match');
+const Session = require('../models/Session');
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+const Report = require('../models/Report');
+const QueueAction = require('../models/QueueAction');
+
+const EXPORT_VERSION = 1;
+
+// Session fields everyone in the session can see anyway
+const SESSION_FIELDS = 'title subject description scheduledDate duration location status sessionType createdBy participants feedback createdAt';
+
+const isUser = (id, userId) => !!id && id.toString() === userId.toString();
+
+// Other participants' entries and feedback belong to them, so only the
+// user's own are exported
+const toExportedSession = (session, userId) => ({
+  id: session._id,
+  title: session.title,
+  subject: session.subject,
+  description: session.description,
+  scheduledDate: session.scheduledDate,
+  duration: session.duration,
+  location: session.location,
+  status: session.status,
+  sessionType: session.sessionType,
+  isOrganizer: isUser(session.createdBy, userId),
+  participation: (session.participants || []).find(p => isUser(p.userId, userId)) || null,
+  feedbackGiven: (session.feedback || []).find(entry => isUser(entry.userId, userId)) || null,
+  createdAt: session.createdAt
+});
+
+const buildUserExport = async (userId) => {
+  const [user, matches, sessions, chats, messages, reports, queueActions] = await Promise.all([
+    User.findById(userId).lean(),
+    Match.find({ $or: [{ userId }, { matchedUserId: userId }] })
+      .populate('userId', 'name')
+      .populate('matchedUserId', 'name')
+      .lean(),
+    Session.find({ $or: [{ createdBy: userId }, { 'participants.userId': userId }] })
+      .select(SESSION_FIELDS)
+      .sort({ scheduledDate: 1 })
+      .lean(),
+    Chat.find({ participants: userId }).lean(),
+    Message.find({ $or: [{ senderId: userId }, { receiverId: userId }] })
+      .sort({ createdAt: 1 })
+      .lean(),
+    Report.find({ reportedBy: userId }),
+    QueueAction.find({ userId }).sort({ createdAt: 1 }).lean()
+  ]);
+
+  if (!user) {
+    return null;
+  }
+
+  return {
+    version: EXPORT_VERSION,
+    exportedAt: new Date(),
+    account: user,
+    matches: matches.map(match => {
+      const ownSide = isUser(match.userId._id, userId);
+      const otherUser = ownSide ? match.matchedUserId : match.userId;
+
+      return {
+        id: match._id,
+        otherUser: otherUser ? { id: otherUser._id, name: otherUser.name } : null,
+        compatibility: match.compatibility,
+        reasons: match.reasons,
+        status: match.status,
+        liked: ownSide ? match.userLiked : match.matchedUserLiked,
+        ratingGiven: ownSide ? match.ratings?.userRating : match.ratings?.matchedUserRating,
+        interactionHistory: match.interactionHistory,
+        createdAt: match.createdAt
+      };
+    }),
+    sessions: sessions.map(session => toExportedSession(session, userId)),
+    chats,
+    messages,
+    reports: reports.map(report => report.toReporterJSON()),
+    queueActions
+  };
+};
+
+module.exports = {
+  EXPORT_VERSION,
+  buildUserExport
+};
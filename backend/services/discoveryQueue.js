@@ -0,0 +1,263 @@
+// Swipe-style discovery queue: one candidate at a time.
+// The next candidate is, in order:
+//   1. a pending match the user hasn't liked yet (suggested matches, and
+//      people who liked the user first), best compatibility first
+//   2. the best cached suggestion (services/matchSuggestions.js)
+// Blocked and declined pairs never show up, and neither do people the user
+// skipped until the skip cooldown is over. Likes go through Match.toggleLike,
+// so liking someone who already liked the user makes the match active.
+// Without a pending match, only people the candidate pipeline would suggest
+// (both sides' preferences, no private profiles) can be liked.
+// Only the user's latest action can be undone, within the undo window.
+
+const User = require('../models/User');
+const Match = require('../models/Match');
+const QueueAction = require('../models/QueueAction');
+const { getSuggestions } = require('./matchSuggestions');
+const { buildCandidatePipeline } = require('./candidates');
+
+const SKIP_COOLDOWN_MS = (parseInt(process.env.MATCH_QUEUE_SKIP_COOLDOWN_HOURS) || 72) * 60 * 60 * 1000;
+const UNDO_WINDOW_MS = (parseInt(process.env.MATCH_QUEUE_UNDO_MINUTES) || 10) * 60 * 1000;
+
+// Pending matches looked at per request, in case some users are inactive
+const PENDING_LOOKAHEAD = 10;
+
+// Fields of the candidate shown on a card
+const CARD_FIELDS = 'name avatar profile location stats lastActive isActive settings.privacy';
+
+const queueError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Works whether or not userId is populated
+const isOwnSide = (match, userId) => (match.userId._id || match.userId).toString() === userId.toString();
+
+const hasLiked = (match, userId) => (isOwnSide(match, userId) ? match.userLiked : match.matchedUserLiked);
+
+// A candidate as { user, match, compatibility, compatibilityBreakdown, reasons, likedYou }
+const toCandidate = (user, candidateUser, match) => {
+  if (match) {
+    return {
+      user: candidateUser,
+      match,
+      compatibility: match.compatibility,
+      compatibilityBreakdown: match.compatibilityBreakdown,
+      reasons: match.reasons,
+      likedYou: isOwnSide(match, user._id) ? match.matchedUserLiked : match.userLiked
+    };
+  }
+
+  const { score, breakdown, reasons } = user.calculateCompatibility(candidateUser);
+  return {
+    user: candidateUser,
+    match: null,
+    compatibility: score,
+    compatibilityBreakdown: breakdown,
+    reasons,
+    likedYou: false
+  };
+};
+
+// The candidate the user should see next, or null when there is nobody left
+const getNextCandidate = async (user, now = new Date()) => {
+  const coolingDownIds = await QueueAction.findCoolingDownIds(user._id, now);
+
+  const pending = await Match.find({
+    status: 'pending',
+    $or: [
+      { userId: user._id, userLiked: false, matchedUserId: { $nin: coolingDownIds } },
+      { matchedUserId: user._id, matchedUserLiked: false, userId: { $nin: coolingDownIds } }
+    ]
+  })
+  .sort({ compatibility: -1, _id: 1 })
+  .limit(PENDING_LOOKAHEAD)
+  .populate('userId', CARD_FIELDS)
+  .populate('matchedUserId', CARD_FIELDS);
+
+  const waiting = pending.find(match => {
+    const other = isOwnSide(match, user._id) ? match.matchedUserId : match.userId;
+    return other?.isActive;
+  });
+
+  if (waiting) {
+    return toCandidate(user, isOwnSide(waiting, user._id) ? waiting.matchedUserId : waiting.userId, waiting);
+  }
+
+  // Suggestions already leave out everyone the user has a match with
+  const { matches: [suggestion] } = await getSuggestions(user._id, { limit: 1, excludeIds: coolingDownIds, now });
+  if (!suggestion) return null;
+
+  const candidateUser = await User.findOne({ _id: suggestion._id, isActive: true }).select(CARD_FIELDS);
+  if (!candidateUser) return null;
+
+  return {
+    user: candidateUser,
+    match: null,
+    compatibility: suggestion.compatibility,
+    compatibilityBreakdown: suggestion.compatibilityBreakdown,
+    reasons: suggestion.reasons,
+    likedYou: false
+  };
+};
+
+// The target of a like or skip; throws NOT_FOUND for inactive users and the user themself
+const findTarget = async (user, targetId) => {
+  const target = targetId.toString() !== user._id.toString()
+    ? await User.findOne({ _id: targetId, isActive: true }).select(CARD_FIELDS)
+    : null;
+
+  if (!target) {
+    throw queueError('NOT_FOUND', 'User not found');
+  }
+
+  return target;
+};
+
+// Whether the target would show up among the user's candidates
+const isCandidate = async (user, target, now) => {
+  if (target.settings?.privacy?.profileVisibility === 'private') return false;
+
+  const [candidate] = await User.aggregate(buildCandidatePipeline(user, { candidateIds: [target._id], limit: 1, now }));
+  return !!candidate;
+};
+
+/**
+ * Like a candidate: creates the match if there is none yet, then likes it.
+ * Throws NOT_ELIGIBLE for users the user can't be matched with, UNAVAILABLE
+ * for blocked or declined pairs and ALREADY_LIKED.
+ * Returns { action, match }; match.mutualLike tells if it became active.
+ */
+const likeCandidate = async (user, targetId, now = new Date()) => {
+  const target = await findTarget(user, targetId);
+  let match = await Match.findExistingMatch(user._id, target._id);
+  let matchCreated = false;
+
+  if (!match) {
+    if (!await isCandidate(user, target, now)) {
+      throw queueError('NOT_ELIGIBLE', 'You can\'t like this user');
+    }
+
+    const { score, breakdown, reasons } = user.calculateCompatibility(target);
+    ({ match, created: matchCreated } = await Match.createPairOnce(user._id, target._id, {
+      compatibility: score,
+      compatibilityBreakdown: breakdown,
+      reasons,
+      matchType: 'one-way'
+    }));
+  }
+
+  if (['blocked', 'declined'].includes(match.status)) {
+    throw queueError('UNAVAILABLE', 'This user is not available');
+  }
+
+  if (hasLiked(match, user._id)) {
+    throw queueError('ALREADY_LIKED', 'You already liked this user');
+  }
+
+  const previous = { status: match.status, matchType: match.matchType };
+  await match.toggleLike(user._id);
+
+  const action = await QueueAction.create({
+    userId: user._id,
+    targetUserId: target._id,
+    type: 'like',
+    matchId: match._id,
+    matchCreated,
+    previous,
+    createdAt: now
+  });
+
+  return { action, match };
+};
+
+// Skip a candidate until the cooldown is over
+const skipCandidate = async (user, targetId, now = new Date()) => {
+  const target = await findTarget(user, targetId);
+
+  return QueueAction.create({
+    userId: user._id,
+    targetUserId: target._id,
+    type: 'skip',
+    cooldownUntil: new Date(now.getTime() + SKIP_COOLDOWN_MS),
+    createdAt: now
+  });
+};
+
+// Take back a like: a match the like created is removed unless the other
+// user has liked back since; otherwise the match returns to its earlier state
+const undoLike = async (user, action) => {
+  const match = await Match.findById(action.matchId);
+  if (!match || !hasLiked(match, user._id)) return;
+
+  const ownSide = isOwnSide(match, user._id);
+  const otherLiked = ownSide ? match.matchedUserLiked : match.userLiked;
+
+  if (action.matchCreated && !otherLiked) {
+    await match.deleteOne();
+    return;
+  }
+
+  if (ownSide) {
+    match.userLiked = false;
+  } else {
+    match.matchedUserLiked = false;
+  }
+  match.mutualLike = false;
+
+  if (match.status === 'active' && action.previous?.status) {
+    match.status = action.previous.status;
+    match.matchType = action.previous.matchType;
+  }
+
+  await match.addInteraction('undo', { userId: user._id, action: 'like' });
+};
+
+/**
+ * Undo the user's latest queue action.
+ * Throws NOTHING_TO_UNDO when it was already undone (or there is none) and
+ * UNDO_EXPIRED once the undo window is over. Returns { action, candidate }
+ * with the candidate the action was about, to show again.
+ */
+const undoLastAction = async (user, now = new Date()) => {
+  const latest = await QueueAction.findOne({ userId: user._id }).sort({ createdAt: -1 });
+
+  if (!latest || latest.undoneAt) {
+    throw queueError('NOTHING_TO_UNDO', 'There is no action to undo');
+  }
+
+  if (now - latest.createdAt > UNDO_WINDOW_MS) {
+    throw queueError('UNDO_EXPIRED', 'The last action can no longer be undone');
+  }
+
+  // Claim the undo so two requests can't both apply it
+  const action = await QueueAction.findOneAndUpdate(
+    { _id: latest._id, undoneAt: null },
+    { $set: { undoneAt: now } },
+    { new: true }
+  );
+
+  if (!action) {
+    throw queueError('NOTHING_TO_UNDO', 'There is no action to undo');
+  }
+
+  if (action.type === 'like') {
+    await undoLike(user, action);
+  }
+
+  const target = await User.findOne({ _id: action.targetUserId, isActive: true }).select(CARD_FIELDS);
+  const match = target ? await Match.findExistingMatch(user._id, target._id) : null;
+
+  return {
+    action,
+    candidate: target ? toCandidate(user, target, match) : null
+  };
+};
+
+module.exports = {
+  getNextCandidate,
+  likeCandidate,
+  skipCandidate,
+  undoLastAction
+};
@@ -0,0 +1,169 @@
+// Uploaded files: type limits, storage with image thumbnails, and signed
+// download URLs. A signed URL lets <img> tags and plain links fetch a file
+// without an Authorization header; it is only handed out to users who may
+// see the file and expires after FILE_URL_TTL_SECONDS.
+
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { getStorage, generateKey } = require('./storage');
+
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+const DOCUMENT_TYPES = [
+  'application/pdf',
+  'text/plain',
+  'text/markdown',
+  'text/x-markdown',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-powerpoint',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+];
+
+const IMAGE_EXTENSIONS = ['jpg', 'jpeg', 'png', 'gif', 'webp'];
+const DOCUMENT_EXTENSIONS = ['pdf', 'txt', 'md', 'doc', 'docx', 'ppt', 'pptx', 'xls', 'xlsx'];
+
+// Content types files are stored and served with, by extension. The type the
+// client sent is only checked against the allowed list, never served back.
+const CONTENT_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  pdf: 'application/pdf',
+  txt: 'text/plain',
+  md: 'text/markdown',
+  doc: 'application/msword',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  ppt: 'application/vnd.ms-powerpoint',
+  pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  xls: 'application/vnd.ms-excel',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+const MAX_FILE_SIZE = parseInt(process.env.MAX_UPLOAD_BYTES) || 10 * 1024 * 1024;
+const THUMBNAIL_SIZE = 320;
+const URL_TTL_SECONDS = parseInt(process.env.FILE_URL_TTL_SECONDS) || 60 * 60;
+
+// Falls back to a per-process secret, so URLs then stop working after a restart
+const urlSecret = process.env.FILE_URL_SECRET || process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex');
+
+const isImage = (mimeType) => IMAGE_TYPES.includes(mimeType);
+
+const getExtension = (fileName = '') => (fileName.includes('.') ? fileName.split('.').pop().toLowerCase() : '');
+
+// Content type for a file name; unknown extensions are served as plain bytes
+const getContentType = (fileName) => CONTENT_TYPES[getExtension(fileName)] || 'application/octet-stream';
+
+/**
+ * Store an uploaded file (multer memory file) under the key prefix.
+ * Images are checked by decoding them into a WebP thumbnail.
+ * Throws an error with code INVALID_IMAGE when an "image" can't be decoded.
+ */
+const storeUpload = async (file, prefix) => {
+  const storage = getStorage();
+  const stored = {
+    fileName: file.originalname,
+    fileSize: file.size,
+    fileType: getContentType(file.originalname)
+  };
+
+  if (isImage(stored.fileType)) {
+    // Reading the header isn't enough: a truncated image only fails when the
+    // thumbnail decodes the pixels
+    let image;
+    let thumbnail;
+    try {
+      image = await sharp(file.buffer).metadata();
+      thumbnail = await sharp(file.buffer)
+        .rotate()
+        .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+        .webp({ quality: 75 })
+        .toBuffer();
+    } catch (error) {
+      const invalid = new Error('The uploaded image could not be read');
+      invalid.code = 'INVALID_IMAGE';
+      throw invalid;
+    }
+
+    stored.width = image.width;
+    stored.height = image.height;
+    stored.thumbnailKey = generateKey(prefix, 'thumbnail.webp');
+    await storage.save(stored.thumbnailKey, thumbnail, { contentType: 'image/webp' });
+  }
+
+  stored.storageKey = generateKey(prefix, file.originalname);
+  await storage.save(stored.storageKey, file.buffer, { contentType: stored.fileType });
+
+  return stored;
+};
+
+const removeStoredFiles = async (...keys) => {
+  const storage = getStorage();
+  await Promise.all(keys.filter(Boolean).map(key => storage.remove(key)));
+};
+
+const createSignature = (path, expires) => {
+  return crypto.createHmac('sha256', urlSecret).update(`${path}:${expires}`).digest('hex');
+};
+
+// Add an expiring signature to an API path, e.g. /api/messages/message/<id>/attachment
+const signUrl = (path, ttlSeconds = URL_TTL_SECONDS) => {
+  const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+  return `${path}?expires=${expires}&signature=${createSignature(path, expires)}`;
+};
+
+const verifySignedUrl = (path, expires, signature) => {
+  if (!expires || !signature || Number(expires) < Date.now() / 1000) {
+    return false;
+  }
+
+  const expected = Buffer.from(createSignature(path, expires));
+  const actual = Buffer.from(String(signature));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+// Stream a stored file, inline for images and as a download otherwise.
+// The content type comes from the file name, not from what was uploaded.
+const sendStoredFile = (res, key, { fileName }) => {
+  const stream = getStorage().createReadStream(key);
+  const contentType = getContentType(fileName);
+  const disposition = isImage(contentType) ? 'inline' : 'attachment';
+
+  stream.on('error', (error) => {
+    if (!res.headersSent) {
+      const status = error.code === 'ENOENT' ? 404 : 500;
+      res.status(status).json({ error: status === 404 ? 'File not found' : 'Failed to read file' });
+    } else {
+      res.destroy(error);
+    }
+  });
+
+  stream.once('open', () => {
+    res.set({
+      'Content-Type': contentType,
+      'Content-Disposition': `${disposition}; filename="${encodeURIComponent(fileName || 'download')}"`,
+      'Cache-Control': 'private, max-age=3600'
+    });
+  });
+
+  stream.pipe(res);
+};
+
+module.exports = {
+  IMAGE_TYPES,
+  DOCUMENT_TYPES,
+  IMAGE_EXTENSIONS,
+  DOCUMENT_EXTENSIONS,
+  MAX_FILE_SIZE,
+  isImage,
+  getContentType,
+  storeUpload,
+  removeStoredFiles,
+  signUrl,
+  verifySignedUrl,
+  sendStoredFile
+};
@@ -0,0 +1,89 @@
+// Group chats for group and study-group sessions.
+// A recurring series shares one chat, keyed by the series' first session.
+// Members are everyone who hasn't declined any session in the series.
+
+const Session = require('../models/Session');
+const Chat = require('../models/Chat');
+
+const GROUP_SESSION_TYPES = ['group', 'study-group'];
+
+const isGroupSession = (session) => GROUP_SESSION_TYPES.includes(session.sessionType);
+
+const getSeriesRootId = (session) => session.recurring?.parentSessionId || session._id;
+
+const getSeriesSessions = (rootId) => Session.find({
+  $or: [{ _id: rootId }, { 'recurring.parentSessionId': rootId }]
+}).select('title participants');
+
+// Unique member IDs across the sessions, in participant order
+const getMemberIds = (sessions) => {
+  const members = new Map();
+
+  sessions.forEach(session => {
+    session.participants
+      .filter(participant => participant.status !== 'declined')
+      .forEach(participant => members.set(participant.userId.toString(), participant.userId));
+  });
+
+  return Array.from(members.values());
+};
+
+/**
+ * Create or update the group chat for a session so its participants match
+ * the series membership. Unread counts are kept for existing members.
+ * Returns the chat, or null for sessions that don't get a group chat.
+ */
+const syncSessionChat = async (session, { retried = false } = {}) => {
+  if (!isGroupSession(session)) return null;
+
+  const rootId = getSeriesRootId(session);
+  const sessions = await getSeriesSessions(rootId);
+  const members = getMemberIds(sessions);
+
+  let chat = await Chat.findOne({ sessionId: rootId });
+
+  if (!chat) {
+    if (members.length === 0) return null;
+
+    const root = sessions.find(s => s._id.toString() === rootId.toString()) || session;
+    chat = new Chat({
+      chatType: 'group',
+      sessionId: rootId,
+      name: root.title
+    });
+  }
+
+  chat.participants = members;
+  chat.unreadCounts = members.map(userId => {
+    const existing = chat.unreadCounts.find(uc => uc.userId.toString() === userId.toString());
+    return { userId, count: existing ? existing.count : 0 };
+  });
+
+  try {
+    await chat.save();
+  } catch (error) {
+    // Another request created the chat first; sync into that one instead.
+    // Other duplicate keys (e.g. a leftover participants index) won't clear up
+    if (error.code === 11000 && chat.isNew && error.keyPattern?.sessionId && !retried) {
+      return syncSessionChat(session, { retried: true });
+    }
+    throw error;
+  }
+
+  return chat;
+};
+
+// Whether the user may post in a session chat (checked against the sessions, not the cached member list)
+const isSessionChatMember = async (chat, userId) => {
+  if (!chat.sessionId) return false;
+
+  const sessions = await getSeriesSessions(chat.sessionId);
+  return getMemberIds(sessions).some(memberId => memberId.toString() === userId.toString());
+};
+
+module.exports = {
+  GROUP_SESSION_TYPES,
+  isGroupSession,
+  syncSessionChat,
+  isSessionChatMember
+};
@@ -0,0 +1,564 @@
+// iCalendar (RFC 5545) generation and parsing for study sessions
+const { getOccurrenceDates, addMonths } = require('./recurrence');
+const { getTimezoneOffset, isValidTimezone } = require('./availability');
+
+const PRODUCT_ID = '-//StudyBuddy//Study Sessions//EN';
+const UID_DOMAIN = 'studybuddy';
+
+const RRULE_FREQUENCIES = {
+  daily: 'FREQ=DAILY',
+  weekly: 'FREQ=WEEKLY',
+  'bi-weekly': 'FREQ=WEEKLY;INTERVAL=2',
+  monthly: 'FREQ=MONTHLY'
+};
+
+const PARTICIPANT_STATUSES = {
+  invited: 'NEEDS-ACTION',
+  accepted: 'ACCEPTED',
+  declined: 'DECLINED',
+  attended: 'ACCEPTED',
+  'no-show': 'ACCEPTED'
+};
+
+// 20260105T180000Z
+const formatDate = (date) => {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+};
+
+const escapeText = (value = '') => {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+};
+
+// Parameter values containing separators must be quoted
+const quoteParam = (value = '') => {
+  const cleaned = String(value).replace(/"/g, '\'');
+  return /[;:,]/.test(cleaned) ? `"${cleaned}"` : cleaned;
+};
+
+// Fold content lines longer than 75 octets
+const foldLine = (line) => {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let current = '';
+
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char, 'utf8') > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+// Users are populated documents; emails are only exposed when allowed
+const calendarAddress = (user, viewerId) => {
+  const isViewer = viewerId && user._id.toString() === viewerId.toString();
+  if (user.email && (isViewer || user.settings?.privacy?.showEmail)) {
+    return `mailto:${user.email}`;
+  }
+  return `urn:${UID_DOMAIN}:user:${user._id}`;
+};
+
+const describeLocation = (location = {}) => {
+  const details = location.details || {};
+  if (location.type === 'online') {
+    return [details.platform, details.meetingLink].filter(Boolean).join(' - ');
+  }
+  return [details.address, details.roomNumber].filter(Boolean).join(', ');
+};
+
+const sessionEnd = (start, duration) => new Date(new Date(start).getTime() + duration * 60 * 1000);
+
+/**
+ * Build the VEVENT lines for a session.
+ * Options: uid (defaults to the session ID), start (defaults to scheduledDate),
+ * rrule/exdates for a series master, recurrenceId for an occurrence override,
+ * and viewerId to decide which attendee emails may be shown.
+ */
+const buildEventLines = (session, options = {}) => {
+  const start = options.start || session.scheduledDate;
+  const details = session.location?.details || {};
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${options.uid || session._id}@${UID_DOMAIN}`,
+    `DTSTAMP:${formatDate(session.updatedAt || new Date())}`,
+    `DTSTART:${formatDate(start)}`,
+    `DTEND:${formatDate(sessionEnd(start, session.duration))}`,
+    `SUMMARY:${escapeText(session.title)}`
+  ];
+
+  if (options.recurrenceId) {
+    lines.push(`RECURRENCE-ID:${formatDate(options.recurrenceId)}`);
+  }
+
+  if (options.rrule) {
+    lines.push(`RRULE:${options.rrule}`);
+  }
+
+  (options.exdates || []).forEach(date => {
+    lines.push(`EXDATE:${formatDate(date)}`);
+  });
+
+  const description = [session.subject && `Subject: ${session.subject}`, session.description]
+    .filter(Boolean)
+    .join('\n');
+  if (description) {
+    lines.push(`DESCRIPTION:${escapeText(description)}`);
+  }
+
+  const location = describeLocation(session.location);
+  if (location) {
+    lines.push(`LOCATION:${escapeText(location)}`);
+  }
+
+  if (session.location?.type === 'online' && details.meetingLink) {
+    lines.push(`URL:${details.meetingLink}`);
+  }
+
+  if (details.coordinates && details.coordinates.length === 2) {
+    const [longitude, latitude] = details.coordinates;
+    lines.push(`GEO:${latitude};${longitude}`);
+  }
+
+  lines.push(`CATEGORIES:${escapeText(session.subject || 'Study')}`);
+
+  if (!options.rrule) {
+    lines.push(`STATUS:${session.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`);
+  }
+
+  const organizer = session.createdBy;
+  if (organizer && organizer._id) {
+    lines.push(`ORGANIZER;CN=${quoteParam(organizer.name)}:${calendarAddress(organizer, options.viewerId)}`);
+  }
+
+  (session.participants || []).forEach(participant => {
+    const user = participant.userId;
+    if (!user || !user._id) return;
+
+    const params = [
+      `CN=${quoteParam(user.name)}`,
+      `ROLE=${participant.role === 'organizer' ? 'CHAIR' : 'REQ-PARTICIPANT'}`,
+      `PARTSTAT=${PARTICIPANT_STATUSES[participant.status] || 'NEEDS-ACTION'}`
+    ];
+    lines.push(`ATTENDEE;${params.join(';')}:${calendarAddress(user, options.viewerId)}`);
+  });
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+const wrapCalendar = (eventLines, name) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ];
+
+  if (name) {
+    lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  }
+
+  lines.push(...eventLines, 'END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+const occurrenceAnchor = (session) => session.recurring?.occurrenceDate || session.scheduledDate;
+
+const buildRrule = (recurring) => {
+  const frequency = RRULE_FREQUENCIES[recurring.frequency];
+  if (!frequency) return null;
+  return recurring.endDate ? `${frequency};UNTIL=${formatDate(recurring.endDate)}` : frequency;
+};
+
+// Calendar containing a single session
+const buildSessionCalendar = (session, viewerId) => {
+  return wrapCalendar(buildEventLines(session, { viewerId }), session.title);
+};
+
+/**
+ * Calendar feed for a list of sessions.
+ * A recurring series whose first session is included becomes a master event
+ * with an RRULE plus one override per occurrence (carrying its own time and
+ * CANCELLED status); rule dates with no visible occurrence are excluded.
+ * Occurrences whose series master isn't included are exported standalone.
+ */
+const buildFeedCalendar = (sessions, { name, viewerId } = {}) => {
+  const byId = new Map(sessions.map(session => [session._id.toString(), session]));
+  const seriesOccurrences = new Map();
+  const standalone = [];
+
+  sessions.forEach(session => {
+    const recurring = session.recurring || {};
+    const seriesId = recurring.isRecurring
+      ? (recurring.parentSessionId || session._id).toString()
+      : null;
+
+    if (seriesId && byId.has(seriesId) && buildRrule(byId.get(seriesId).recurring)) {
+      if (!seriesOccurrences.has(seriesId)) seriesOccurrences.set(seriesId, []);
+      seriesOccurrences.get(seriesId).push(session);
+    } else {
+      standalone.push(session);
+    }
+  });
+
+  const eventLines = [];
+
+  seriesOccurrences.forEach((occurrences, seriesId) => {
+    const master = byId.get(seriesId);
+    const anchor = occurrenceAnchor(master);
+
+    const visibleDates = new Set(occurrences.map(occurrence => formatDate(occurrenceAnchor(occurrence))));
+    const exdates = [new Date(anchor), ...getOccurrenceDates(anchor, master.recurring.frequency, master.recurring.endDate)]
+      .filter(date => !visibleDates.has(formatDate(date)));
+
+    eventLines.push(...buildEventLines(master, {
+      uid: seriesId,
+      start: anchor,
+      rrule: buildRrule(master.recurring),
+      exdates,
+      viewerId
+    }));
+
+    occurrences.forEach(occurrence => {
+      eventLines.push(...buildEventLines(occurrence, {
+        uid: seriesId,
+        recurrenceId: occurrenceAnchor(occurrence),
+        viewerId
+      }));
+    });
+  });
+
+  standalone.forEach(session => {
+    eventLines.push(...buildEventLines(session, { viewerId }));
+  });
+
+  return wrapCalendar(eventLines, name);
+};
+
+// ---------------------------------------------------------------------------
+// Parsing
+// ---------------------------------------------------------------------------
+
+const DAY = 24 * 60 * 60 * 1000;
+const MAX_EXPANSION = 5000;
+const WEEKDAY_CODES = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+
+const unescapeText = (value = '') => {
+  return value
+    .replace(/\\n/gi, '\n')
+    .replace(/\\([\\;,])/g, '$1');
+};
+
+// Split "NAME;PARAM=x:value" into its parts, ignoring colons inside quotes
+const parseContentLine = (line) => {
+  let inQuotes = false;
+  let separator = -1;
+
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    if (line[i] === ':' && !inQuotes) {
+      separator = i;
+      break;
+    }
+  }
+
+  if (separator === -1) return null;
+
+  const [name, ...rawParams] = line.slice(0, separator).split(';');
+  const params = rawParams.reduce((result, param) => {
+    const [key, ...rest] = param.split('=');
+    result[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+    return result;
+  }, {});
+
+  return { name: name.toUpperCase(), params, value: line.slice(separator + 1) };
+};
+
+// Convert wall-clock time (as a UTC timestamp of the local fields) to a real instant
+const wallTimeToUtc = (wallMs, timeZone) => {
+  if (!timeZone || timeZone === 'UTC') return wallMs;
+
+  const guess = wallMs - getTimezoneOffset(timeZone, new Date(wallMs)) * 60 * 1000;
+  return wallMs - getTimezoneOffset(timeZone, new Date(guess)) * 60 * 1000;
+};
+
+/**
+ * Parse a DATE or DATE-TIME value.
+ * Returns { wallMs, utc, isDate, timeZone } where wallMs holds the local
+ * fields and utc is true when the value was already in UTC ("Z" suffix).
+ */
+const parseDateValue = (value, params = {}) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value.trim());
+  if (!match) return null;
+
+  const [, year, month, day, hours = '00', minutes = '00', seconds = '00', utcFlag] = match;
+  const timeZone = params.TZID && isValidTimezone(params.TZID) ? params.TZID : null;
+
+  return {
+    wallMs: Date.UTC(+year, +month - 1, +day, +hours, +minutes, +seconds),
+    utc: !!utcFlag,
+    isDate: params.VALUE === 'DATE' || match[4] === undefined,
+    timeZone
+  };
+};
+
+// Duration such as PT1H30M or P1D, in milliseconds
+const parseDuration = (value) => {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+  if (!match) return null;
+
+  const [, sign, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+  const ms = ((((+weeks * 7 + +days) * 24 + +hours) * 60 + +minutes) * 60 + +seconds) * 1000;
+  return sign === '-' ? -ms : ms;
+};
+
+const parseRrule = (value) => {
+  return value.split(';').reduce((rule, part) => {
+    const [key, ruleValue] = part.split('=');
+    if (key && ruleValue) rule[key.toUpperCase()] = ruleValue.toUpperCase();
+    return rule;
+  }, {});
+};
+
+/**
+ * Parse the VEVENTs of a calendar.
+ * Returns plain objects with uid, summary, status, transparent,
+ * start/end (parsed date values), duration (ms), rrule, exdates and recurrenceId.
+ */
+const parseEvents = (text) => {
+  const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const events = [];
+  let current = null;
+  let depth = 0;
+
+  lines.forEach(rawLine => {
+    const line = parseContentLine(rawLine);
+    if (!line) return;
+
+    if (line.name === 'BEGIN' && line.value.toUpperCase() === 'VEVENT') {
+      current = { exdates: [], transparent: false };
+      depth = 0;
+      return;
+    }
+
+    if (!current) return;
+
+    // Skip nested components such as VALARM
+    if (line.name === 'BEGIN') {
+      depth += 1;
+      return;
+    }
+    if (line.name === 'END' && depth > 0) {
+      depth -= 1;
+      return;
+    }
+    if (depth > 0) return;
+
+    switch (line.name) {
+      case 'END':
+        if (line.value.toUpperCase() === 'VEVENT') {
+          if (current.start) events.push(current);
+          current = null;
+        }
+        break;
+      case 'UID':
+        current.uid = line.value;
+        break;
+      case 'SUMMARY':
+        current.summary = unescapeText(line.value);
+        break;
+      case 'STATUS':
+        current.status = line.value.toUpperCase();
+        break;
+      case 'TRANSP':
+        current.transparent = line.value.toUpperCase() === 'TRANSPARENT';
+        break;
+      case 'DTSTART':
+        current.start = parseDateValue(line.value, line.params);
+        break;
+      case 'DTEND':
+        current.end = parseDateValue(line.value, line.params);
+        break;
+      case 'DURATION':
+        current.duration = parseDuration(line.value);
+        break;
+      case 'RRULE':
+        current.rrule = parseRrule(line.value);
+        break;
+      case 'EXDATE':
+        line.value.split(',').forEach(value => {
+          const exdate = parseDateValue(value, line.params);
+          if (exdate) current.exdates.push(exdate);
+        });
+        break;
+      case 'RECURRENCE-ID':
+        current.recurrenceId = parseDateValue(line.value, line.params);
+        break;
+      default:
+        break;
+    }
+  });
+
+  return events;
+};
+
+// Resolve a parsed date to a UTC timestamp, using fallbackTimeZone for floating times
+const toInstant = (dateValue, fallbackTimeZone) => {
+  if (dateValue.utc) return dateValue.wallMs;
+  return wallTimeToUtc(dateValue.wallMs, dateValue.timeZone || fallbackTimeZone);
+};
+
+// Generate wall-clock start times for an RRULE (bounded by untilWall / COUNT / MAX_EXPANSION).
+// Expansion starts at the period containing fromWall rather than at DTSTART,
+// so long-running series don't use up MAX_EXPANSION before the range; with a
+// COUNT the skipped occurrences still count toward it.
+const expandRruleWallTimes = (startWall, rule, untilWall, fromWall = startWall) => {
+  const interval = Math.max(1, parseInt(rule.INTERVAL) || 1);
+  const count = rule.COUNT ? parseInt(rule.COUNT) : Infinity;
+  const starts = [];
+  let generated = 0;
+
+  const accept = (wallMs) => {
+    if (wallMs < startWall || wallMs > untilWall || generated >= count) return false;
+    if (wallMs >= fromWall) starts.push(wallMs);
+    generated += 1;
+    return true;
+  };
+
+  if (rule.FREQ === 'WEEKLY') {
+    const startDate = new Date(startWall);
+    const timeOfDay = startWall % DAY;
+    const weekStart = startWall - timeOfDay - ((startDate.getUTCDay() + 6) % 7) * DAY;
+    const byDay = (rule.BYDAY ? rule.BYDAY.split(',') : [WEEKDAY_CODES[(startDate.getUTCDay() + 6) % 7]])
+      .map(code => WEEKDAY_CODES.indexOf(code.replace(/^[+-]?\d+/, '')))
+      .filter(index => index >= 0)
+      .sort((a, b) => a - b);
+
+    // Whole intervals of weeks before the one containing fromWall
+    const skippedPeriods = Math.max(0, Math.floor((fromWall - weekStart) / (7 * DAY * interval)));
+    if (skippedPeriods > 0) {
+      const inFirstWeek = byDay.filter(dayIndex => weekStart + dayIndex * DAY + timeOfDay >= startWall).length;
+      generated = inFirstWeek + (skippedPeriods - 1) * byDay.length;
+    }
+
+    const firstWeek = skippedPeriods * interval;
+    for (let week = firstWeek; generated < count && week < firstWeek + MAX_EXPANSION; week += interval) {
+      const base = weekStart + week * 7 * DAY;
+      if (base > untilWall) break;
+      byDay.forEach(dayIndex => accept(base + dayIndex * DAY + timeOfDay));
+    }
+    return starts;
+  }
+
+  // Every step below yields one occurrence, so skipped steps are skipped occurrences
+  let firstStep = 0;
+  if (fromWall > startWall) {
+    if (rule.FREQ === 'DAILY') {
+      firstStep = Math.floor((fromWall - startWall) / (interval * DAY));
+    } else if (rule.FREQ === 'MONTHLY' || rule.FREQ === 'YEARLY') {
+      const from = new Date(fromWall);
+      const first = new Date(startWall);
+      const months = (from.getUTCFullYear() - first.getUTCFullYear()) * 12 + from.getUTCMonth() - first.getUTCMonth();
+      firstStep = Math.max(0, Math.floor((months - 1) / (rule.FREQ === 'YEARLY' ? 12 * interval : interval)));
+    }
+  }
+  generated = Math.min(firstStep, count);
+
+  for (let n = firstStep; generated < count && n < firstStep + MAX_EXPANSION; n++) {
+    let next;
+    if (rule.FREQ === 'DAILY') {
+      next = startWall + n * interval * DAY;
+    } else if (rule.FREQ === 'MONTHLY') {
+      next = addMonths(new Date(startWall), n * interval).getTime();
+    } else if (rule.FREQ === 'YEARLY') {
+      next = addMonths(new Date(startWall), n * interval * 12).getTime();
+    } else {
+      // Unsupported frequency: keep just the first occurrence
+      accept(startWall);
+      break;
+    }
+
+    if (next > untilWall) break;
+    accept(next);
+  }
+
+  return starts;
+};
+
+/**
+ * Busy intervals ({ start, end } in UTC ms) from a calendar between rangeStart and rangeEnd.
+ * Cancelled, transparent (free) and all-day events are ignored; recurring
+ * events are expanded with EXDATEs and RECURRENCE-ID overrides applied.
+ */
+const extractBusyIntervals = (text, rangeStart, rangeEnd, fallbackTimeZone = 'UTC') => {
+  const events = parseEvents(text);
+  const from = new Date(rangeStart).getTime();
+  const until = new Date(rangeEnd).getTime();
+
+  // Occurrences replaced by an override event, keyed by UID
+  const overridden = new Map();
+  events.filter(event => event.recurrenceId && event.uid).forEach(event => {
+    if (!overridden.has(event.uid)) overridden.set(event.uid, new Set());
+    overridden.get(event.uid).add(toInstant(event.recurrenceId, fallbackTimeZone));
+  });
+
+  const busy = [];
+
+  events.forEach(event => {
+    if (event.status === 'CANCELLED' || event.transparent || event.start.isDate) return;
+
+    const startTimeZone = event.start.utc ? 'UTC' : (event.start.timeZone || fallbackTimeZone);
+    const duration = event.end
+      ? toInstant(event.end, fallbackTimeZone) - toInstant(event.start, fallbackTimeZone)
+      : (event.duration || 0);
+    if (duration <= 0) return;
+
+    let starts = [event.start.wallMs];
+    if (event.rrule && !event.recurrenceId) {
+      let untilWall = until + 8 * DAY;
+      if (event.rrule.UNTIL) {
+        const ruleUntil = parseDateValue(event.rrule.UNTIL, {});
+        if (ruleUntil) untilWall = Math.min(untilWall, ruleUntil.wallMs + (ruleUntil.isDate ? DAY - 1 : 0));
+      }
+      // Occurrences starting up to a day (any UTC offset) plus one duration
+      // before the range can still overlap it
+      starts = expandRruleWallTimes(event.start.wallMs, event.rrule, untilWall, from - duration - DAY);
+    }
+
+    const excluded = new Set([
+      ...event.exdates.map(exdate => toInstant(exdate, startTimeZone)),
+      ...(!event.recurrenceId && overridden.has(event.uid) ? overridden.get(event.uid) : [])
+    ]);
+
+    starts.forEach(wallMs => {
+      const start = event.start.utc ? wallMs : wallTimeToUtc(wallMs, startTimeZone);
+      const end = start + duration;
+      if (excluded.has(start) || end <= from || start >= until) return;
+      busy.push({ start, end });
+    });
+  });
+
+  return busy.sort((a, b) => a.start - b.start);
+};
+
+module.exports = {
+  formatDate,
+  escapeText,
+  foldLine,
+  buildSessionCalendar,
+  buildFeedCalendar,
+  parseEvents,
+  extractBusyIntervals
+};
@@ -0,0 +1,80 @@
+// Minimal in-process job scheduler.
+// Each job runs on a fixed interval; a run is skipped while the previous one
+// is still in progress so slow database queries don't pile up.
+
+const jobs = new Map();
+
+const runJob = async (job) => {
+  if (job.running) return;
+
+  job.running = true;
+  job.lastRunAt = new Date();
+
+  try {
+    await job.handler();
+  } catch (error) {
+    console.error(`Job "${job.name}" failed:`, error);
+  } finally {
+    job.running = false;
+  }
+};
+
+const scheduleJob = (name, intervalMs, handler, { runImmediately = false } = {}) => {
+  if (jobs.has(name)) {
+    throw new Error(`Job "${name}" is already scheduled`);
+  }
+
+  const job = {
+    name,
+    intervalMs,
+    handler,
+    running: false,
+    lastRunAt: null
+  };
+
+  job.timer = setInterval(() => runJob(job), intervalMs);
+  // Don't keep the process alive just for background jobs
+  if (job.timer.unref) job.timer.unref();
+
+  jobs.set(name, job);
+
+  if (runImmediately) {
+    runJob(job);
+  }
+
+  return job;
+};
+
+const cancelJob = (name) => {
+  const job = jobs.get(name);
+  if (!job) return false;
+
+  clearInterval(job.timer);
+  jobs.delete(name);
+  return true;
+};
+
+const cancelAllJobs = () => {
+  Array.from(jobs.keys()).forEach(cancelJob);
+};
+
+// Trigger a job outside its schedule (e.g. from an admin endpoint)
+const runJobNow = (name) => {
+  const job = jobs.get(name);
+  return job ? runJob(job) : Promise.resolve();
+};
+
+const getJobs = () => Array.from(jobs.values()).map(({ name, intervalMs, running, lastRunAt }) => ({
+  name,
+  intervalMs,
+  running,
+  lastRunAt
+}));
+
+module.exports = {
+  scheduleJob,
+  cancelJob,
+  cancelAllJobs,
+  getJobs,
+  runJobNow
+};
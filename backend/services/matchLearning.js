@@ -0,0 +1,181 @@
+// Feedback-driven matching.
+// Learns a small model per user from how their past partnerships went and
+// uses it to personalise compatibility scores:
+//   - outcomes: ratings the user gave on matches, their feedback on completed
+//     sessions (overall rating and categories) and matches they declined,
+//     removed or blocked, each turned into a label from -1 (bad) to 1 (good)
+//   - weight multipliers: a factor whose values went along with good outcomes
+//     gets up to twice its configured weight for this user, one that went
+//     along with bad outcomes down to half
+//   - affinities: the average outcome per partner learning style and
+//     performance level, scored by the partnerPreference factor, so a student
+//     who keeps rating Kinesthetic partners highly sees more of them
+// Estimates are shrunk toward neutral until there are enough outcomes.
+// Everything here is pure; services/matchTraining.js loads the data.
+
+const matchingConfig = require('../config/matching');
+const { scoreCompatibility, getFactorNames, readLearned } = require('./compatibility');
+
+// Outcomes worth as much as the neutral prior
+const WEIGHT_PRIOR = 10;
+const AFFINITY_PRIOR = 3;
+
+// Traits of the partner that affinities are learned for
+const AFFINITY_TRAITS = ['learningStyle', 'performanceLevel'];
+
+// 1-5 stars to -1..1
+const ratingToLabel = (rating) => (rating - 3) / 2;
+
+const average = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+const isUser = (id, userId) => !!id && id.toString() === userId.toString();
+
+/**
+ * The user's outcomes from their matches and completed sessions.
+ * Returns [{ partnerId, label, weight, at, source }], oldest first.
+ * Session feedback is shared between the other attendees of the session.
+ */
+const extractOutcomes = (userId, { matches = [], sessions = [] } = {}) => {
+  const outcomes = [];
+
+  matches.forEach(match => {
+    const ownSide = isUser(match.userId, userId);
+    const partnerId = ownSide ? match.matchedUserId : match.userId;
+    const rating = ownSide ? match.ratings?.userRating : match.ratings?.matchedUserRating;
+
+    if (rating?.score) {
+      outcomes.push({ partnerId, label: ratingToLabel(rating.score), weight: 1, at: rating.timestamp, source: 'rating' });
+    }
+
+    // Only the user's own declines, removals and blocks say something about their taste
+    (match.interactionHistory || []).forEach(interaction => {
+      const details = interaction.details || {};
+      const actor = details.declinedBy || details.deletedBy || (details.blocked && details.blockedBy);
+      if (['decline', 'delete', 'block'].includes(interaction.type) && isUser(actor, userId)) {
+        outcomes.push({ partnerId, label: -1, weight: 1, at: interaction.timestamp, source: interaction.type });
+      }
+    });
+  });
+
+  sessions.forEach(session => {
+    const feedback = (session.feedback || []).find(entry => isUser(entry.userId, userId));
+    if (!feedback) return;
+
+    const partners = (session.participants || [])
+      .filter(p => !isUser(p.userId, userId) && ['accepted', 'attended'].includes(p.status))
+      .map(p => p.userId);
+    if (partners.length === 0) return;
+
+    const scores = [feedback.rating, ...Object.values(feedback.categories || {})]
+      .filter(score => typeof score === 'number');
+    const label = ratingToLabel(average(scores));
+
+    partners.forEach(partnerId => {
+      outcomes.push({ partnerId, label, weight: 1 / partners.length, at: feedback.submittedAt, source: 'session' });
+    });
+  });
+
+  return outcomes.sort((a, b) => new Date(a.at || 0) - new Date(b.at || 0));
+};
+
+// Weighted correlation between a factor's values and the outcome labels
+const correlate = (points) => {
+  const totalWeight = points.reduce((sum, p) => sum + p.weight, 0);
+  if (totalWeight === 0) return 0;
+
+  const meanValue = points.reduce((sum, p) => sum + p.weight * p.value, 0) / totalWeight;
+  const meanLabel = points.reduce((sum, p) => sum + p.weight * p.label, 0) / totalWeight;
+
+  let covariance = 0;
+  let valueVariance = 0;
+  let labelVariance = 0;
+  points.forEach(p => {
+    covariance += p.weight * (p.value - meanValue) * (p.label - meanLabel);
+    valueVariance += p.weight * (p.value - meanValue) ** 2;
+    labelVariance += p.weight * (p.label - meanLabel) ** 2;
+  });
+
+  if (valueVariance === 0 || labelVariance === 0) return 0;
+  return covariance / Math.sqrt(valueVariance * labelVariance);
+};
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Fit a user's matching model from their outcomes.
+ * partnersById maps partner ids to users with a profile (and location/stats
+ * for the distance and ratingHistory factors). Partners that can't be found
+ * are ignored. Returns { weightMultipliers, affinities, sampleSize }.
+ */
+const fitMatchingModel = (user, outcomes, partnersById) => {
+  // Score every factor but the learned one, whatever its configured weight
+  const allFactors = getFactorNames()
+    .filter(name => name !== 'partnerPreference')
+    .reduce((weights, name) => ({ ...weights, [name]: 1 }), {});
+
+  const observations = outcomes
+    .map(outcome => ({ ...outcome, partner: partnersById.get(outcome.partnerId.toString()) }))
+    .filter(outcome => outcome.partner?.profile);
+
+  const pointsByFactor = {};
+  observations.forEach(observation => {
+    const { breakdown } = scoreCompatibility(user, observation.partner, allFactors);
+    breakdown.forEach(({ factor, value }) => {
+      (pointsByFactor[factor] = pointsByFactor[factor] || [])
+        .push({ value, label: observation.label, weight: observation.weight });
+    });
+  });
+
+  const weightMultipliers = {};
+  Object.entries(pointsByFactor).forEach(([factor, points]) => {
+    const weight = points.reduce((sum, p) => sum + p.weight, 0);
+    const confidence = weight / (weight + WEIGHT_PRIOR);
+    weightMultipliers[factor] = round(2 ** (correlate(points) * confidence));
+  });
+
+  const affinities = {};
+  AFFINITY_TRAITS.forEach(trait => {
+    const totals = {};
+    observations.forEach(({ partner, label, weight }) => {
+      const key = partner.profile[trait];
+      if (key === undefined || key === null) return;
+
+      totals[key] = totals[key] || { sum: 0, weight: 0 };
+      totals[key].sum += label * weight;
+      totals[key].weight += weight;
+    });
+
+    affinities[trait] = {};
+    Object.entries(totals).forEach(([key, total]) => {
+      affinities[trait][key] = round(total.sum / (total.weight + AFFINITY_PRIOR));
+    });
+  });
+
+  return {
+    weightMultipliers,
+    affinities,
+    sampleSize: observations.length
+  };
+};
+
+/**
+ * Factor weights for scoring the user's candidates: the configured weights
+ * scaled by the user's learned multipliers, if any.
+ */
+const getPersonalWeights = (user, baseWeights = matchingConfig.weights) => {
+  const multipliers = user.matchingModel?.weightMultipliers;
+  if (!multipliers) return baseWeights;
+
+  return Object.entries(baseWeights).reduce((weights, [name, weight]) => {
+    const multiplier = readLearned(multipliers, name);
+    weights[name] = typeof multiplier === 'number' ? weight * multiplier : weight;
+    return weights;
+  }, {});
+};
+
+module.exports = {
+  ratingToLabel,
+  extractOutcomes,
+  fitMatchingModel,
+  getPersonalWeights
+};
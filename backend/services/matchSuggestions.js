@@ -0,0 +1,194 @@
+// Precomputed match suggestions.
+// A background job keeps each user's top suggestions in MatchSuggestion so
+// POST /api/matches/find doesn't score candidates on every request. An entry
+// is recomputed when it is stale (the user's profile, or the profile of
+// someone it suggests, changed) or older than the max age. Users without an
+// entry get one computed on their first request. People the user already has
+// a match with are left out when computing, and again when serving since
+// matches are created in between.
+
+const User = require('../models/User');
+const Match = require('../models/Match');
+const MatchSuggestion = require('../models/MatchSuggestion');
+const { scheduleJob } = require('./jobScheduler');
+const matchingConfig = require('../config/matching');
+
+const SUGGESTION_COUNT = parseInt(process.env.MATCH_SUGGESTIONS_COUNT) || 50;
+const MAX_AGE_MS = (parseInt(process.env.MATCH_SUGGESTIONS_MAX_AGE_MINUTES) || 6 * 60) * 60 * 1000;
+const BATCH_SIZE = parseInt(process.env.MATCH_SUGGESTIONS_BATCH_SIZE) || 25;
+
+// Ids of everyone the user already has a match with, in either direction
+const getMatchedUserIds = async (userId) => {
+  const matches = await Match.find({
+    $or: [{ userId }, { matchedUserId: userId }]
+  }).select('userId matchedUserId');
+
+  return matches.map(match =>
+    match.userId.toString() === userId.toString() ? match.matchedUserId : match.userId
+  );
+};
+
+const toSuggestion = (match) => ({
+  userId: match._id,
+  compatibility: match.compatibility,
+  compatibilityBreakdown: match.compatibilityBreakdown,
+  reasons: match.reasons
+});
+
+// Recompute and store a user's suggestions; returns the entry
+// The entry is shared by every caller, so only existing matches are left out;
+// per-request exclusions are applied when serving
+const refreshSuggestions = async (userId) => {
+  const startedAt = new Date();
+  const excludeIds = await getMatchedUserIds(userId);
+  const matches = await User.findPotentialMatches(userId, SUGGESTION_COUNT, { excludeIds });
+
+  // An update pipeline so an invalidation that arrived while computing keeps
+  // the entry stale; $literal stops "$..." text from reading as a field path
+  return MatchSuggestion.findOneAndUpdate(
+    { userId },
+    [{
+      $set: {
+        suggestions: { $literal: matches.map(toSuggestion) },
+        minCompatibility: matchingConfig.minCompatibility,
+        computedAt: new Date(),
+        stale: { $gt: [{ $ifNull: ['$invalidatedAt', null] }, startedAt] }
+      }
+    }],
+    { upsert: true, new: true }
+  );
+};
+
+// Mark suggestions involving the user as stale after their profile changed
+const invalidateSuggestions = (userId) => MatchSuggestion.invalidateForUser(userId);
+
+// Cached suggestions that still apply, in the shape findPotentialMatches returns
+const selectSuggestions = async (entry, { limit, minCompatibility, excludeIds }) => {
+  const excluded = new Set(excludeIds.map(id => id.toString()));
+  const candidates = entry.suggestions.filter(suggestion =>
+    suggestion.compatibility >= minCompatibility && !excluded.has(suggestion.userId.toString())
+  );
+
+  // Leave out accounts suspended or deleted since the entry was computed
+  const activeIds = await User.distinct('_id', {
+    _id: { $in: candidates.map(suggestion => suggestion.userId) },
+    isActive: true
+  });
+  const active = new Set(activeIds.map(id => id.toString()));
+
+  return candidates
+    .filter(suggestion => active.has(suggestion.userId.toString()))
+    .slice(0, limit)
+    .map(suggestion => ({
+      _id: suggestion.userId,
+      compatibility: suggestion.compatibility,
+      compatibilityBreakdown: suggestion.compatibilityBreakdown,
+      reasons: suggestion.reasons
+    }));
+};
+
+/**
+ * Suggestions for POST /api/matches/find and the discovery queue.
+ * Served from the cache when the entry is fresh and was computed with a
+ * threshold no higher than minCompatibility; otherwise computed now.
+ * forceRefresh scores candidates live, including existing matches.
+ * excludeIds: more users to leave out of this response, e.g. ones skipped in
+ * the discovery queue; they stay in the cached entry
+ * Returns { matches, cache: { source, computedAt, ageSeconds } }.
+ */
+const getSuggestions = async (userId, { limit = 20, minCompatibility, forceRefresh = false, excludeIds: extraIds = [], now = new Date() } = {}) => {
+  const threshold = minCompatibility ?? matchingConfig.minCompatibility;
+
+  // The cache only holds suggestions at or above the configured threshold
+  if (forceRefresh || threshold < matchingConfig.minCompatibility) {
+    const excludeIds = forceRefresh ? extraIds : [...await getMatchedUserIds(userId), ...extraIds];
+    const matches = await User.findPotentialMatches(userId, limit, { minCompatibility: threshold, excludeIds });
+    return { matches, cache: { source: 'live', computedAt: now, ageSeconds: 0 } };
+  }
+
+  const matchedIds = await getMatchedUserIds(userId);
+  const excludeIds = [...matchedIds, ...extraIds];
+  let entry = await MatchSuggestion.findOne({ userId });
+  let source = 'cache';
+
+  if (!entry || !entry.computedAt || entry.stale || threshold < entry.minCompatibility) {
+    entry = await refreshSuggestions(userId);
+    source = 'live';
+  }
+
+  let matches = await selectSuggestions(entry, { limit, minCompatibility: threshold, excludeIds });
+
+  // A full entry used up by new matches may have more candidates behind it;
+  // one short because of excludeIds would come back the same
+  const matched = new Set(matchedIds.map(id => id.toString()));
+  const usedUp = entry.suggestions.some(suggestion => matched.has(suggestion.userId.toString()));
+  if (source === 'cache' && matches.length < limit && entry.suggestions.length >= SUGGESTION_COUNT && usedUp) {
+    entry = await refreshSuggestions(userId);
+    source = 'live';
+    matches = await selectSuggestions(entry, { limit, minCompatibility: threshold, excludeIds });
+  }
+
+  return {
+    matches,
+    cache: {
+      source,
+      computedAt: entry.computedAt,
+      ageSeconds: entry.getAgeSeconds(now)
+    }
+  };
+};
+
+/**
+ * Recompute the stale and oldest entries, up to one batch per run.
+ * Entries of users who are no longer active are dropped; a new one is
+ * computed if they come back.
+ */
+const refreshDueSuggestions = async (now = new Date()) => {
+  const entries = await MatchSuggestion.find({
+    $or: [
+      { stale: true },
+      { computedAt: null },
+      { computedAt: { $lte: new Date(now.getTime() - MAX_AGE_MS) } }
+    ]
+  })
+  .sort({ stale: -1, computedAt: 1 })
+  .limit(BATCH_SIZE)
+  .select('userId');
+
+  const activeIds = await User.distinct('_id', {
+    _id: { $in: entries.map(entry => entry.userId) },
+    isActive: true
+  });
+  const active = new Set(activeIds.map(id => id.toString()));
+
+  let refreshed = 0;
+
+  for (const entry of entries) {
+    if (!active.has(entry.userId.toString())) {
+      await entry.deleteOne();
+      continue;
+    }
+
+    try {
+      await refreshSuggestions(entry.userId);
+      refreshed += 1;
+    } catch (error) {
+      console.error(`Failed to refresh match suggestions for user ${entry.userId}:`, error.message);
+    }
+  }
+
+  return refreshed;
+};
+
+const startMatchSuggestionJob = (intervalMs = parseInt(process.env.MATCH_SUGGESTIONS_INTERVAL_MS) || 5 * 60 * 1000) => {
+  return scheduleJob('match-suggestions', intervalMs, () => refreshDueSuggestions());
+};
+
+module.exports = {
+  getMatchedUserIds,
+  refreshSuggestions,
+  invalidateSuggestions,
+  getSuggestions,
+  refreshDueSuggestions,
+  startMatchSuggestionJob
+};
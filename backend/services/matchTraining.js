@@ -0,0 +1,107 @@
+// Keeps users' learned matching models (services/matchLearning.js) up to date.
+// A background job refits the models of users who got new feedback first,
+// then the oldest ones. Refitting a model marks the user's cached suggestions
+// stale so they are rescored with it.
+
+const User = require('../models/User');
+const Match = require('../models/Match');
+const Session = require('../models/Session');
+const MatchSuggestion = require('../models/MatchSuggestion');
+const { scheduleJob } = require('./jobScheduler');
+const { extractOutcomes, fitMatchingModel } = require('./matchLearning');
+
+const MAX_AGE_MS = (parseInt(process.env.MATCH_LEARNING_MAX_AGE_HOURS) || 24) * 60 * 60 * 1000;
+const BATCH_SIZE = parseInt(process.env.MATCH_LEARNING_BATCH_SIZE) || 50;
+
+// Fields the compatibility factors read from a partner
+const PARTNER_FIELDS = 'profile location stats';
+
+// Matches and completed sessions a user's outcomes are extracted from
+const loadHistory = async (userId) => {
+  const [matches, sessions] = await Promise.all([
+    Match.find({ $or: [{ userId }, { matchedUserId: userId }] })
+      .select('userId matchedUserId ratings interactionHistory')
+      .lean(),
+    Session.find({ status: 'completed', 'feedback.userId': userId })
+      .select('participants feedback')
+      .lean()
+  ]);
+
+  return { matches, sessions };
+};
+
+// Partner users by id, as fitMatchingModel expects them
+const loadPartners = async (outcomes) => {
+  const partners = await User.find({ _id: { $in: outcomes.map(outcome => outcome.partnerId) } })
+    .select(PARTNER_FIELDS)
+    .lean();
+
+  return new Map(partners.map(partner => [partner._id.toString(), partner]));
+};
+
+/**
+ * Refit one user's matching model from their full history.
+ * Returns the stored model.
+ */
+const updateMatchingModel = async (user, now = new Date()) => {
+  const outcomes = extractOutcomes(user._id, await loadHistory(user._id));
+  const model = {
+    ...fitMatchingModel(user, outcomes, await loadPartners(outcomes)),
+    updatedAt: now
+  };
+
+  // A targeted update so a profile edit made meanwhile isn't overwritten
+  await User.updateOne({ _id: user._id }, { $set: { matchingModel: model } });
+
+  if (model.sampleSize !== (user.matchingModel?.sampleSize || 0)) {
+    await MatchSuggestion.updateOne({ userId: user._id }, { $set: { stale: true, invalidatedAt: now } });
+  }
+
+  return model;
+};
+
+// Have the job refit the user's model on its next run, e.g. after a rating
+const markMatchingModelDue = (userId) => {
+  return User.updateOne({ _id: userId }, { $unset: { 'matchingModel.updatedAt': 1 } });
+};
+
+// Refit models that are due, up to one batch per run; never-fitted ones sort first
+const updateDueMatchingModels = async (now = new Date()) => {
+  const users = await User.find({
+    isActive: true,
+    'profile.learningStyle': { $exists: true },
+    $or: [
+      { 'matchingModel.updatedAt': null },
+      { 'matchingModel.updatedAt': { $lte: new Date(now.getTime() - MAX_AGE_MS) } }
+    ]
+  })
+  .sort({ 'matchingModel.updatedAt': 1 })
+  .limit(BATCH_SIZE)
+  .select(`${PARTNER_FIELDS} matchingModel`);
+
+  let updated = 0;
+
+  for (const user of users) {
+    try {
+      await updateMatchingModel(user, now);
+      updated += 1;
+    } catch (error) {
+      console.error(`Failed to update matching model for user ${user._id}:`, error.message);
+    }
+  }
+
+  return updated;
+};
+
+const startMatchLearningJob = (intervalMs = parseInt(process.env.MATCH_LEARNING_INTERVAL_MS) || 60 * 60 * 1000) => {
+  return scheduleJob('match-learning', intervalMs, () => updateDueMatchingModels());
+};
+
+module.exports = {
+  loadHistory,
+  loadPartners,
+  updateMatchingModel,
+  markMatchingModelDue,
+  updateDueMatchingModels,
+  startMatchLearningJob
+};
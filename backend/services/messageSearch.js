@@ -0,0 +1,78 @@
+// Helpers for message search results.
+// MongoDB's $text search finds the messages; these pick the query terms back
+// out and build a short snippet around the first match with highlight ranges,
+// so clients can render highlights without trusting any markup.
+
+const SNIPPET_RADIUS = 60;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Split a $text query into the words and "quoted phrases" to highlight.
+ * Negated terms (-word) are left out since they never appear in results.
+ */
+const parseSearchTerms = (query) => {
+  const terms = [];
+  const phrasePattern = /(-?)"([^"]+)"/g;
+
+  const rest = query.replace(phrasePattern, (match, negated, phrase) => {
+    if (!negated && phrase.trim()) {
+      terms.push(phrase.trim());
+    }
+    return ' ';
+  });
+
+  rest.split(/\s+/)
+    .filter(word => word && !word.startsWith('-'))
+    .forEach(word => terms.push(word));
+
+  return Array.from(new Set(terms.map(term => term.toLowerCase())));
+};
+
+// Text search is stemmed, so a word matches as a prefix ("study" finds "studying")
+const buildTermsPattern = (terms) => {
+  if (terms.length === 0) return null;
+
+  const alternatives = [...terms]
+    .sort((a, b) => b.length - a.length)
+    .map(term => `${escapeRegex(term)}\\w*`);
+
+  return new RegExp(`\\b(?:${alternatives.join('|')})`, 'gi');
+};
+
+/**
+ * Snippet of the text around the first match of any term.
+ * Returns { text, highlights: [{ offset, length }] } with offsets into text.
+ */
+const buildSnippet = (text, terms, radius = SNIPPET_RADIUS) => {
+  const pattern = buildTermsPattern(terms);
+  const matches = pattern ? Array.from(text.matchAll(pattern)) : [];
+
+  if (matches.length === 0) {
+    const cut = text.length > radius * 2;
+    return { text: cut ? `${text.slice(0, radius * 2)}…` : text, highlights: [] };
+  }
+
+  const first = matches[0].index;
+  const start = Math.max(0, first - radius);
+  const end = Math.min(text.length, first + matches[0][0].length + radius);
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+
+  const highlights = matches
+    .filter(match => match.index >= start && match.index + match[0].length <= end)
+    .map(match => ({
+      offset: prefix.length + match.index - start,
+      length: match[0].length
+    }));
+
+  return {
+    text: `${prefix}${text.slice(start, end)}${suffix}`,
+    highlights
+  };
+};
+
+module.exports = {
+  parseSearchTerms,
+  buildSnippet
+};
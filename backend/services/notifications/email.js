@@ -0,0 +1,33 @@
+const nodemailer = require('nodemailer');
+
+// Email transport over SMTP. Defaults to a local sink (e.g. MailHog on :1025)
+// so development never sends real mail.
+const createEmailTransport = (options = {}) => {
+  const transporter = nodemailer.createTransport({
+    host: options.host || process.env.SMTP_HOST || 'localhost',
+    port: parseInt(options.port || process.env.SMTP_PORT || 1025),
+    secure: options.secure !== undefined ? options.secure : process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? {
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS
+    } : undefined
+  });
+
+  const from = options.from || process.env.SMTP_FROM || 'StudyBuddy <no-reply@studybuddy.local>';
+
+  return {
+    name: 'email',
+    async send({ user, subject, text }) {
+      if (!user.email) return;
+
+      await transporter.sendMail({
+        from,
+        to: user.email,
+        subject,
+        text
+      });
+    }
+  };
+};
+
+module.exports = { createEmailTransport };
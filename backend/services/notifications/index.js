@@ -0,0 +1,51 @@
+// Notification transport registry.
+// A transport is an object with send({ user, subject, text, data }) that
+// returns a promise. Transports are keyed by channel name, matching the
+// keys of User.settings.notifications (email, push, sms).
+
+const transports = new Map();
+
+const registerTransport = (channel, transport) => {
+  if (!transport || typeof transport.send !== 'function') {
+    throw new Error(`Transport for "${channel}" must implement send()`);
+  }
+
+  transports.set(channel, transport);
+};
+
+const getTransport = (channel) => transports.get(channel);
+
+// Whether the user has opted in to a channel (email and push default to on)
+const isChannelEnabled = (user, channel) => {
+  const notifications = user.settings?.notifications || {};
+  if (notifications[channel] === undefined) {
+    return channel !== 'sms';
+  }
+  return !!notifications[channel];
+};
+
+/**
+ * Deliver a notification to a user over one channel.
+ * Resolves to true when sent, false when skipped (opted out or no transport).
+ */
+const notify = async (channel, user, notification) => {
+  if (!isChannelEnabled(user, channel)) {
+    return false;
+  }
+
+  const transport = transports.get(channel);
+  if (!transport) {
+    console.warn(`No notification transport registered for "${channel}"`);
+    return false;
+  }
+
+  await transport.send({ user, ...notification });
+  return true;
+};
+
+module.exports = {
+  registerTransport,
+  getTransport,
+  isChannelEnabled,
+  notify
+};
@@ -0,0 +1,13 @@
+// Push transport that emits to the user's Socket.IO room
+const createPushTransport = (io, event = 'notification') => ({
+  name: 'push',
+  async send({ user, subject, text, data }) {
+    io.to(`user_${user._id}`).emit(event, {
+      title: subject,
+      body: text,
+      ...data
+    });
+  }
+});
+
+module.exports = { createPushTransport };
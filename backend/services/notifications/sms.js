@@ -0,0 +1,11 @@
+// No-op SMS transport until a provider is configured; logs only who and
+// what it was for, since the text includes session titles and meeting links
+const createSmsTransport = () => ({
+  name: 'sms',
+  async send({ user, data }) {
+    const about = data?.sessionId ? ` for session ${data.sessionId}` : '';
+    console.log(`SMS to user ${user._id}${about} skipped (no provider configured)`);
+  }
+});
+
+module.exports = { createSmsTransport };
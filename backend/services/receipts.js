@@ -0,0 +1,170 @@
+// Message delivery and read receipts.
+// Each message keeps a receipt per recipient; its overall status becomes
+// "delivered" or "read" once every recipient has reached that state.
+// Updates run as pipeline updates so concurrent acks can't overwrite each other.
+
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const Chat = require('../models/Chat');
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(id.toString());
+
+const allReceipts = (field) => ({
+  $allElementsTrue: [{
+    $map: { input: '$receipts', as: 'receipt', in: { $ifNull: [`$$receipt.${field}`, false] } }
+  }]
+});
+
+const STATUS_FROM_RECEIPTS = {
+  $switch: {
+    branches: [
+      { case: allReceipts('readAt'), then: 'read' },
+      { case: allReceipts('deliveredAt'), then: 'delivered' }
+    ],
+    default: 'sent'
+  }
+};
+
+// Set the given receipt fields for one user, leaving existing timestamps alone
+const receiptUpdate = (userId, fields) => [
+  {
+    $set: {
+      receipts: {
+        $map: {
+          input: '$receipts',
+          as: 'receipt',
+          in: {
+            $cond: [
+              { $eq: ['$$receipt.userId', userId] },
+              {
+                $mergeObjects: [
+                  '$$receipt',
+                  Object.entries(fields).reduce((merged, [field, value]) => ({
+                    ...merged,
+                    [field]: { $ifNull: [`$$receipt.${field}`, value] }
+                  }), {})
+                ]
+              },
+              '$$receipt'
+            ]
+          }
+        }
+      }
+    }
+  },
+  { $set: { status: STATUS_FROM_RECEIPTS } }
+];
+
+// Receipts for a new message in the chat
+const buildReceipts = (chat, senderId) => chat.participants
+  .filter(participant => participant.toString() !== senderId.toString())
+  .map(userId => ({ userId }));
+
+// Update matching messages and return them with their new status
+const applyReceipt = async (filter, userId, fields) => {
+  const messages = await Message.find(filter).select('_id');
+  if (messages.length === 0) return [];
+
+  const ids = messages.map(message => message._id);
+  await Message.updateMany({ _id: { $in: ids } }, receiptUpdate(userId, fields));
+
+  return Message.find({ _id: { $in: ids } }).select('chatId senderId status receipts');
+};
+
+/**
+ * Mark messages as delivered to the user (their client received them).
+ */
+const markDelivered = (userId, messageIds, now = new Date()) => {
+  const recipientId = toObjectId(userId);
+
+  return applyReceipt({
+    _id: { $in: messageIds },
+    receipts: { $elemMatch: { userId: recipientId, deliveredAt: null } }
+  }, recipientId, { deliveredAt: now });
+};
+
+/**
+ * Mark the user's messages in a chat as read, optionally only up to a date.
+ * Reading a message also marks it delivered.
+ */
+const markRead = async (userId, chatId, { upTo } = {}, now = new Date()) => {
+  const recipientId = toObjectId(userId);
+  const filter = {
+    chatId: chatId.toString(),
+    receipts: { $elemMatch: { userId: recipientId, readAt: null } }
+  };
+  if (upTo) {
+    filter.createdAt = { $lte: new Date(upTo) };
+  }
+
+  // Messages from before receipts existed only have a receiver and a status
+  await Message.updateMany({
+    chatId: chatId.toString(),
+    receiverId: recipientId,
+    'receipts.0': { $exists: false },
+    status: { $ne: 'read' },
+    ...(upTo ? { createdAt: filter.createdAt } : {})
+  }, { status: 'read' });
+
+  return applyReceipt(filter, recipientId, { deliveredAt: now, readAt: now });
+};
+
+// Recount a member's unread messages from the receipts
+const reconcileUnreadCount = async (chatId, userId) => {
+  const recipientId = toObjectId(userId);
+  const count = await Message.countDocuments({
+    chatId: chatId.toString(),
+    $or: [
+      { receipts: { $elemMatch: { userId: recipientId, readAt: null } } },
+      { receiverId: recipientId, 'receipts.0': { $exists: false }, status: { $ne: 'read' } }
+    ]
+  });
+
+  await Chat.updateOne(
+    { _id: chatId },
+    { $set: { 'unreadCounts.$[elem].count': count } },
+    { arrayFilters: [{ 'elem.userId': recipientId }] }
+  );
+
+  return count;
+};
+
+const reconcileChatUnreadCounts = async (chat) => {
+  return Promise.all(chat.participants.map(userId => reconcileUnreadCount(chat._id, userId)));
+};
+
+/**
+ * Tell each sender that their messages were delivered to or read by the user.
+ * Emits message-status to user_<senderId>, grouped per sender and chat.
+ */
+const emitReceipts = (io, messages, userId, type, at) => {
+  if (!io || messages.length === 0) return;
+
+  const groups = new Map();
+  messages.forEach(message => {
+    const key = `${message.senderId}:${message.chatId}`;
+    if (!groups.has(key)) {
+      groups.set(key, { senderId: message.senderId, chatId: message.chatId, messages: [] });
+    }
+    groups.get(key).messages.push({ id: message._id, status: message.status });
+  });
+
+  groups.forEach(({ senderId, chatId, messages: updates }) => {
+    io.to(`user_${senderId}`).emit('message-status', {
+      chatId,
+      userId,
+      type,
+      at,
+      messages: updates
+    });
+  });
+};
+
+module.exports = {
+  buildReceipts,
+  markDelivered,
+  markRead,
+  reconcileUnreadCount,
+  reconcileChatUnreadCounts,
+  emitReceipts
+};
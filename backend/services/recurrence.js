@@ -0,0 +1,71 @@
+// Expands Session.recurring rules into concrete occurrence dates
+
+const MAX_OCCURRENCES = 100;
+const DAY = 24 * 60 * 60 * 1000;
+
+const FREQUENCY_DAYS = {
+  daily: 1,
+  weekly: 7,
+  'bi-weekly': 14
+};
+
+// Add months keeping the time of day, clamping to the last day of shorter months
+const addMonths = (date, months) => {
+  const result = new Date(date.getTime());
+  const day = result.getUTCDate();
+
+  result.setUTCDate(1);
+  result.setUTCMonth(result.getUTCMonth() + months);
+
+  const lastDay = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+  result.setUTCDate(Math.min(day, lastDay));
+
+  return result;
+};
+
+const getNthOccurrence = (startDate, frequency, n) => {
+  if (frequency === 'monthly') {
+    return addMonths(startDate, n);
+  }
+
+  const days = FREQUENCY_DAYS[frequency];
+  if (!days) {
+    throw new Error(`Unsupported recurrence frequency: ${frequency}`);
+  }
+
+  return new Date(startDate.getTime() + n * days * DAY);
+};
+
+/**
+ * List every occurrence date after the first one, up to and including endDate.
+ * Capped at MAX_OCCURRENCES so an open-ended daily series can't explode.
+ */
+const getOccurrenceDates = (startDate, frequency, endDate, maxOccurrences = MAX_OCCURRENCES) => {
+  const start = new Date(startDate);
+  const end = new Date(endDate);
+  const dates = [];
+
+  for (let n = 1; dates.length < maxOccurrences; n++) {
+    const next = getNthOccurrence(start, frequency, n);
+    if (next > end) break;
+    dates.push(next);
+  }
+
+  return dates;
+};
+
+// The dates materializeOccurrences creates for a session: none unless it
+// recurs and has an endDate
+const getSeriesDates = (session) => {
+  const { isRecurring, frequency, endDate } = session.recurring || {};
+  if (!isRecurring || !endDate) return [];
+
+  return getOccurrenceDates(session.scheduledDate, frequency, endDate);
+};
+
+module.exports = {
+  MAX_OCCURRENCES,
+  addMonths,
+  getOccurrenceDates,
+  getSeriesDates
+};
@@ -0,0 +1,98 @@
+const Session = require('../models/Session');
+const { scheduleJob } = require('./jobScheduler');
+const { registerTransport, notify } = require('./notifications');
+const { createEmailTransport } = require('./notifications/email');
+const { createPushTransport } = require('./notifications/push');
+const { createSmsTransport } = require('./notifications/sms');
+
+// Reminders are looked up this far ahead (longest supported timing)
+const LOOKAHEAD_MS = 7 * 24 * 60 * 60 * 1000;
+
+const formatReminder = (session, minutesUntil) => {
+  const when = minutesUntil >= 60
+    ? `${Math.round(minutesUntil / 60)} hour(s)`
+    : `${Math.max(1, minutesUntil)} minute(s)`;
+
+  const where = session.location?.type === 'online'
+    ? (session.location.details?.meetingLink || session.location.details?.platform || 'online')
+    : [session.location?.details?.address, session.location?.details?.roomNumber].filter(Boolean).join(', ');
+
+  return {
+    subject: `Reminder: ${session.title} starts in ${when}`,
+    text: `Your ${session.subject} study session "${session.title}" starts at ${session.scheduledDate.toISOString()}` +
+      (where ? ` (${where})` : '') + '.',
+    data: {
+      type: 'session-reminder',
+      sessionId: session._id,
+      scheduledDate: session.scheduledDate
+    }
+  };
+};
+
+/**
+ * Send every reminder that is due (scheduledDate - timing <= now).
+ * Each reminder is claimed with a conditional update before delivery so
+ * two scheduler runs (or two server instances) never send it twice.
+ */
+const processDueReminders = async (now = new Date()) => {
+  const sessions = await Session.find({
+    status: 'scheduled',
+    scheduledDate: { $gt: now, $lte: new Date(now.getTime() + LOOKAHEAD_MS) },
+    'reminders.sent': false
+  })
+  .populate('participants.userId', 'name email settings');
+
+  let sent = 0;
+
+  for (const session of sessions) {
+    const dueReminders = session.reminders.filter(reminder =>
+      !reminder.sent &&
+      session.scheduledDate.getTime() - reminder.timing * 60 * 1000 <= now.getTime()
+    );
+
+    for (const reminder of dueReminders) {
+      const claim = await Session.updateOne(
+        { _id: session._id, reminders: { $elemMatch: { _id: reminder._id, sent: false } } },
+        { $set: { 'reminders.$.sent': true, 'reminders.$.sentAt': now } }
+      );
+
+      if (claim.modifiedCount === 0) continue;
+
+      const minutesUntil = Math.round((session.scheduledDate - now) / (60 * 1000));
+      const notification = formatReminder(session, minutesUntil);
+
+      // Only people who are coming: the organizer and accepted participants
+      const recipients = session.participants
+        .filter(p => p.userId && (
+          p.status === 'accepted' || p.userId._id.toString() === session.createdBy.toString()
+        ))
+        .map(p => p.userId);
+
+      for (const user of recipients) {
+        try {
+          if (await notify(reminder.type, user, notification)) {
+            sent += 1;
+          }
+        } catch (error) {
+          console.error(`Failed to send ${reminder.type} reminder to user ${user._id}:`, error.message);
+        }
+      }
+    }
+  }
+
+  return sent;
+};
+
+// Register the default transports and start polling for due reminders
+const startReminderScheduler = (io, intervalMs = parseInt(process.env.REMINDER_INTERVAL_MS) || 60 * 1000) => {
+  registerTransport('email', createEmailTransport());
+  registerTransport('push', createPushTransport(io));
+  registerTransport('sms', createSmsTransport());
+
+  return scheduleJob('session-reminders', intervalMs, () => processDueReminders());
+};
+
+module.exports = {
+  processDueReminders,
+  startReminderScheduler
+};
@@ -0,0 +1,120 @@
+const Session = require('../models/Session');
+const { MINUTES_PER_WEEK, mergeIntervals, subtractIntervals } = require('./availability');
+
+const MINUTE = 60 * 1000;
+
+// Monday 00:00 UTC of the week containing the date
+const startOfUtcWeek = (date) => {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  const daysSinceMonday = (start.getUTCDay() + 6) % 7;
+  return new Date(start.getTime() - daysSinceMonday * 24 * 60 * MINUTE);
+};
+
+// Expand weekly UTC intervals into concrete { start, end } ranges within [from, until).
+// Touching ranges are merged, so an interval ending at the end of the week
+// (minute 10080) runs on into one starting at minute 0 of the next.
+const expandWeeklyIntervals = (intervals, from, until) => {
+  const ranges = [];
+  let weekStart = startOfUtcWeek(from).getTime();
+
+  while (weekStart < until.getTime()) {
+    intervals.forEach(interval => {
+      const start = Math.max(weekStart + interval.start * MINUTE, from.getTime());
+      const end = Math.min(weekStart + interval.end * MINUTE, until.getTime());
+      if (end > start) {
+        ranges.push({ start, end });
+      }
+    });
+    weekStart += MINUTES_PER_WEEK * MINUTE;
+  }
+
+  return mergeIntervals(ranges);
+};
+
+/**
+ * Find the next concrete start times within shared availability.
+ * Options: intervals (weekly UTC minutes) or ranges (concrete { start, end }
+ * timestamps within the window, e.g. from getUserRanges), busy ({ start, end }
+ * Dates), from, until, duration and step in minutes, and count.
+ * Start times are aligned to the step so suggestions land on round times.
+ */
+const findAvailableSlots = ({ intervals, ranges, busy = [], from, until, duration, count = 5, step = 30 }) => {
+  const busyRanges = busy.map(range => ({
+    start: new Date(range.start).getTime(),
+    end: new Date(range.end).getTime()
+  }));
+
+  const available = ranges || expandWeeklyIntervals(intervals, from, until);
+  const freeRanges = subtractIntervals(available, busyRanges);
+  const stepMs = step * MINUTE;
+  const durationMs = duration * MINUTE;
+  const slots = [];
+
+  for (const range of freeRanges) {
+    let start = Math.ceil(range.start / stepMs) * stepMs;
+
+    while (start + durationMs <= range.end && slots.length < count) {
+      slots.push({
+        start: new Date(start),
+        end: new Date(start + durationMs)
+      });
+      // Next suggestion starts once this one has ended
+      start += Math.ceil(durationMs / stepMs) * stepMs;
+    }
+
+    if (slots.length >= count) break;
+  }
+
+  return slots;
+};
+
+/**
+ * Scheduled/in-progress sessions that clash with any of the ranges, found in
+ * one query. ranges: [{ userIds, scheduledDate, duration }], e.g. one per
+ * occurrence of a series. Each conflict lists the requested users it involves.
+ */
+const findRangeConflicts = async (ranges, excludeSessionIds = null) => {
+  const windows = ranges.map(({ userIds, scheduledDate, duration }) => {
+    const start = new Date(scheduledDate);
+    return {
+      userIds,
+      start,
+      end: new Date(start.getTime() + duration * MINUTE),
+      requestedIds: new Set(userIds.map(id => id.toString()))
+    };
+  });
+
+  const sessions = await Session.findOverlappingRanges(windows, excludeSessionIds);
+
+  return sessions.map(session => {
+    const start = session.scheduledDate.getTime();
+    const end = start + session.duration * MINUTE;
+    const requestedIds = new Set(windows
+      .filter(window => start < window.end.getTime() && end > window.start.getTime())
+      .flatMap(window => Array.from(window.requestedIds)));
+
+    return {
+      id: session._id,
+      title: session.title,
+      scheduledDate: session.scheduledDate,
+      duration: session.duration,
+      status: session.status,
+      conflictingUsers: session.participants
+        .filter(p => p.status !== 'declined' && requestedIds.has(p.userId.toString()))
+        .map(p => p.userId)
+    };
+  });
+};
+
+// Scheduled/in-progress sessions of the given users that clash with a time range
+const findScheduleConflicts = (userIds, scheduledDate, duration, excludeSessionIds = null) => {
+  return findRangeConflicts([{ userIds, scheduledDate, duration }], excludeSessionIds);
+};
+
+module.exports = {
+  startOfUtcWeek,
+  expandWeeklyIntervals,
+  findAvailableSlots,
+  findRangeConflicts,
+  findScheduleConflicts
+};
@@ -0,0 +1,215 @@
+// Socket.IO connection handling.
+// Sockets authenticate with the same Auth0 token as the REST API, are joined
+// to their own user_<id> room automatically and may only join chats they
+// participate in. Presence is tracked in memory per server instance.
+
+const User = require('../models/User');
+const Chat = require('../models/Chat');
+const { verifyAuth0Token } = require('../middleware/auth');
+const { markDelivered, markRead, reconcileUnreadCount, emitReceipts } = require('./receipts');
+
+const OBJECT_ID_PATTERN = /^[0-9a-fA-F]{24}$/;
+
+// userId -> number of open sockets
+const connections = new Map();
+
+const isUserOnline = (userId) => connections.has(userId.toString());
+
+// Token from the handshake auth payload or an Authorization header
+const getHandshakeToken = (socket) => {
+  const { auth = {}, headers = {} } = socket.handshake;
+  const header = headers.authorization || '';
+  return auth.token || header.replace('Bearer ', '') || null;
+};
+
+const authenticateSocket = async (socket, next) => {
+  try {
+    const token = getHandshakeToken(socket);
+    if (!token) {
+      return next(new Error('Authentication required'));
+    }
+
+    const decoded = await verifyAuth0Token(token);
+    const user = await User.findOne({ auth0Id: decoded.sub }).select('name avatar isActive suspension');
+
+    // Suspended accounts and pending deletions can't connect
+    if (!user || !user.isActive) {
+      return next(new Error('Access denied'));
+    }
+
+    socket.data.user = user;
+    next();
+  } catch (error) {
+    next(new Error('Invalid token'));
+  }
+};
+
+// Everyone who shares a chat with the user
+const getContactIds = async (userId) => {
+  const chats = await Chat.find({ participants: userId, isActive: true }).select('participants');
+  const contacts = new Set();
+
+  chats.forEach(chat => chat.participants.forEach(participant => contacts.add(participant.toString())));
+  contacts.delete(userId.toString());
+
+  return Array.from(contacts);
+};
+
+// Clients can send anything: event payloads that aren't objects count as empty
+// and acknowledgements are only called when the client asked for one
+const asPayload = (payload) => (payload && typeof payload === 'object' ? payload : {});
+
+const reply = (ack, response) => {
+  if (typeof ack === 'function') ack(response);
+};
+
+const isChatParticipant = async (chatId, userId) => {
+  if (!OBJECT_ID_PATTERN.test(String(chatId))) return false;
+  return !!(await Chat.exists({ _id: chatId, participants: userId }));
+};
+
+const broadcastPresence = async (io, userId, status, lastSeen) => {
+  const contacts = await getContactIds(userId);
+  if (contacts.length === 0) return;
+
+  io.to(contacts.map(contactId => `user_${contactId}`)).emit('presence', {
+    userId,
+    status,
+    lastSeen
+  });
+};
+
+const initSocket = (io) => {
+  io.use(authenticateSocket);
+
+  io.on('connection', (socket) => {
+    const user = socket.data.user;
+    const userId = user._id.toString();
+
+    socket.join(`user_${userId}`);
+
+    const count = (connections.get(userId) || 0) + 1;
+    connections.set(userId, count);
+    if (count === 1) {
+      broadcastPresence(io, userId, 'online').catch(error => console.error('Presence error:', error));
+    }
+
+    // Kept for older clients; sockets can only ever join their own room
+    socket.on('join-user-room', () => {
+      socket.join(`user_${userId}`);
+    });
+
+    socket.on('join-chat', async (chatId, ack) => {
+      try {
+        if (!(await isChatParticipant(chatId, user._id))) {
+          return reply(ack, { ok: false, error: 'Access denied to this chat' });
+        }
+
+        socket.join(String(chatId));
+        reply(ack, { ok: true });
+      } catch (error) {
+        console.error('Join chat error:', error);
+        reply(ack, { ok: false, error: 'Failed to join chat' });
+      }
+    });
+
+    socket.on('leave-chat', (chatId) => {
+      if (typeof chatId !== 'string') return;
+      socket.leave(chatId);
+    });
+
+    // Typing indicators go to the other people in a joined chat
+    socket.on('typing', (payload) => {
+      const { chatId, isTyping = true } = asPayload(payload);
+      if (typeof chatId !== 'string' || !socket.rooms.has(chatId)) return;
+
+      socket.to(String(chatId)).emit('typing', {
+        chatId,
+        userId,
+        name: user.name,
+        isTyping: !!isTyping
+      });
+    });
+
+    // Delivery receipt: the recipient's client acknowledges new-message events
+    socket.on('message-delivered', async (payload) => {
+      try {
+        const { messageId, messageIds } = asPayload(payload);
+        const ids = [].concat(messageIds || messageId || [])
+          .map(String)
+          .filter(id => OBJECT_ID_PATTERN.test(id));
+        if (ids.length === 0) return;
+
+        const deliveredAt = new Date();
+        const messages = await markDelivered(userId, ids, deliveredAt);
+        emitReceipts(io, messages, userId, 'delivered', deliveredAt);
+      } catch (error) {
+        console.error('Message delivered error:', error);
+      }
+    });
+
+    // Read receipt for messages on screen in a chat
+    socket.on('message-read', async (payload) => {
+      try {
+        const { chatId, upTo } = asPayload(payload);
+        if (!(await isChatParticipant(chatId, user._id))) return;
+        if (upTo && Number.isNaN(new Date(upTo).getTime())) return;
+
+        const readAt = new Date();
+        const messages = await markRead(userId, chatId, { upTo }, readAt);
+        await reconcileUnreadCount(chatId, userId);
+        emitReceipts(io, messages, userId, 'read', readAt);
+      } catch (error) {
+        console.error('Message read error:', error);
+      }
+    });
+
+    // Online status of contacts, e.g. when opening the chat list
+    socket.on('get-presence', async (userIds, ack) => {
+      try {
+        const contacts = new Set(await getContactIds(userId));
+        const presence = [].concat(userIds || [])
+          .map(String)
+          .filter(id => contacts.has(id))
+          .reduce((result, id) => ({ ...result, [id]: isUserOnline(id) }), {});
+
+        reply(ack, { ok: true, presence });
+      } catch (error) {
+        console.error('Get presence error:', error);
+        reply(ack, { ok: false, error: 'Failed to get presence' });
+      }
+    });
+
+    socket.on('disconnecting', () => {
+      // Stop typing indicators in every chat this socket was in
+      socket.rooms.forEach(room => {
+        if (room !== socket.id && room !== `user_${userId}`) {
+          socket.to(room).emit('typing', { chatId: room, userId, name: user.name, isTyping: false });
+        }
+      });
+    });
+
+    socket.on('disconnect', async () => {
+      const remaining = (connections.get(userId) || 1) - 1;
+      if (remaining > 0) {
+        connections.set(userId, remaining);
+        return;
+      }
+
+      connections.delete(userId);
+
+      try {
+        const lastSeen = new Date();
+        await User.updateOne({ _id: userId }, { lastActive: lastSeen });
+        await broadcastPresence(io, userId, 'offline', lastSeen);
+      } catch (error) {
+        console.error('Presence error:', error);
+      }
+    });
+  });
+};
+
+module.exports = {
+  initSocket,
+  isUserOnline
+};
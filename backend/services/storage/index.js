@@ -0,0 +1,45 @@
+// File storage abstraction.
+// A driver is an object with save(key, buffer, { contentType }),
+// exists(key), createReadStream(key) and remove(key). STORAGE_DRIVER picks
+// the driver (default "local"); other drivers such as S3 can be registered
+// with registerStorageDriver before the first call to getStorage.
+
+const crypto = require('crypto');
+const path = require('path');
+const { createLocalStorage } = require('./local');
+
+const drivers = new Map([['local', createLocalStorage]]);
+let storage = null;
+
+const registerStorageDriver = (name, factory) => {
+  if (typeof factory !== 'function') {
+    throw new Error(`Storage driver "${name}" must be a factory function`);
+  }
+
+  drivers.set(name, factory);
+};
+
+const getStorage = () => {
+  if (!storage) {
+    const name = process.env.STORAGE_DRIVER || 'local';
+    const factory = drivers.get(name);
+    if (!factory) {
+      throw new Error(`Unknown storage driver: ${name}`);
+    }
+    storage = factory();
+  }
+
+  return storage;
+};
+
+// Unique key under a prefix, keeping the original extension
+const generateKey = (prefix, originalName = '') => {
+  const extension = path.extname(originalName).toLowerCase().replace(/[^.a-z0-9]/g, '');
+  return `${prefix}/${crypto.randomBytes(16).toString('hex')}${extension}`;
+};
+
+module.exports = {
+  registerStorageDriver,
+  getStorage,
+  generateKey
+};
@@ -0,0 +1,51 @@
+const fs = require('fs');
+const path = require('path');
+
+// Storage driver that keeps files under a local directory (STORAGE_DIR,
+// default backend/uploads). Keys are relative paths such as "chats/<id>/<file>".
+const createLocalStorage = (options = {}) => {
+  const root = path.resolve(options.root || process.env.STORAGE_DIR || path.join(__dirname, '..', '..', 'uploads'));
+
+  // Resolve a key inside the root, rejecting anything that escapes it
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    async save(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+      return { key, size: buffer.length };
+    },
+
+    async exists(key) {
+      try {
+        await fs.promises.access(resolveKey(key));
+        return true;
+      } catch (error) {
+        return false;
+      }
+    },
+
+    createReadStream(key) {
+      return fs.createReadStream(resolveKey(key));
+    },
+
+    async remove(key) {
+      try {
+        await fs.promises.unlink(resolveKey(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+  };
+};
+
+module.exports = { createLocalStorage };
@@ -9,6 +9,7 @@ const ProfileSetup = ({ onComplete }) => {
     subjects: [],
     learningStyle: 1,
     availability: [],
+    timezone: Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC',
     performanceLevel: 3,
     goals: ''
   });
@@ -31,12 +32,37 @@ const ProfileSetup = ({ onComplete }) => {
     }));
   };
 
+  const isDaySelected = (day) => formData.availability.some(slot => slot.day === day);
+
   const handleAvailabilityToggle = (day) => {
     setFormData(prev => ({
       ...prev,
-      availability: prev.availability.includes(day)
-        ? prev.availability.filter(d => d !== day)
-        : [...prev.availability, day]
+      availability: prev.availability.some(slot => slot.day === day)
+        ? prev.availability.filter(slot => slot.day !== day)
+        : [...prev.availability, { day, startTime: '18:00', endTime: '21:00' }]
+    }));
+  };
+
+  const handleAddSlot = (day) => {
+    setFormData(prev => ({
+      ...prev,
+      availability: [...prev.availability, { day, startTime: '09:00', endTime: '12:00' }]
+    }));
+  };
+
+  const handleSlotChange = (index, field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      availability: prev.availability.map((slot, i) => (
+        i === index ? { ...slot, [field]: value } : slot
+      ))
+    }));
+  };
+
+  const handleRemoveSlot = (index) => {
+    setFormData(prev => ({
+      ...prev,
+      availability: prev.availability.filter((_, i) => i !== index)
     }));
   };
 
@@ -53,6 +79,11 @@ const ProfileSetup = ({ onComplete }) => {
       return;
     }
 
+    if (formData.availability.some(slot => slot.endTime <= slot.startTime)) {
+      alert('Each availability slot must end after it starts');
+      return;
+    }
+
     setLoading(true);
     try {
       // Save profile to backend (mock for now)
@@ -136,7 +167,7 @@ const ProfileSetup = ({ onComplete }) => {
                     type="button"
                     onClick={() => handleAvailabilityToggle(day)}
                     className={`p-3 rounded-lg border-2 transition-colors ${
-                      formData.availability.includes(day)
+                      isDaySelected(day)
                         ? 'border-blue-500 bg-blue-50 text-blue-700'
                         : 'border-gray-200 hover:border-gray-300'
                     }`}
@@ -145,6 +176,44 @@ const ProfileSetup = ({ onComplete }) => {
                   </button>
                 ))}
               </div>
+
+              {formData.availability.length > 0 && (
+                <div className="mt-4 space-y-2">
+                  {formData.availability.map((slot, index) => (
+                    <div key={`${slot.day}-${index}`} className="flex items-center gap-3">
+                      <span className="w-12 font-medium text-gray-700">{slot.day.slice(0, 3)}</span>
+                      <input
+                        type="time"
+                        value={slot.startTime}
+                        onChange={(e) => handleSlotChange(index, 'startTime', e.target.value)}
+                        className="p-2 border border-gray-300 rounded-lg"
+                      />
+                      <span className="text-gray-500">to</span>
+                      <input
+                        type="time"
+                        value={slot.endTime}
+                        onChange={(e) => handleSlotChange(index, 'endTime', e.target.value)}
+                        className="p-2 border border-gray-300 rounded-lg"
+                      />
+                      <button
+                        type="button"
+                        onClick={() => handleAddSlot(slot.day)}
+                        className="text-sm text-blue-600 hover:text-blue-700"
+                      >
+                        Add time
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => handleRemoveSlot(index)}
+                        className="text-sm text-gray-500 hover:text-red-600"
+                      >
+                        Remove
+                      </button>
+                    </div>
+                  ))}
+                  <p className="text-sm text-gray-600">Times are in {formData.timezone}</p>
+                </div>
+              )}
             </div>
 
             {/* Performance Level */}